@@ -6,6 +6,8 @@ CREATE TABLE IF NOT EXISTS shares (
   cfrom_id TEXT,
   errno INTEGER,
   request_id TEXT,
+  is_protected INTEGER DEFAULT 0,
+  pwd_hash TEXT,
   updated_at DATETIME
 );
 
@@ -25,7 +27,8 @@ CREATE TABLE IF NOT EXISTS media_files (
   size INTEGER,
   is_adult INTEGER,
   cmd5 TEXT,
-  dlink TEXT
+  dlink TEXT,
+  parent_fs_id TEXT
 );
 
 CREATE TABLE IF NOT EXISTS thumbnails (
@@ -34,3 +37,72 @@ CREATE TABLE IF NOT EXISTS thumbnails (
   url TEXT,
   thumbnail_type TEXT
 );
+
+CREATE TABLE IF NOT EXISTS js_tokens (
+  cache_key TEXT PRIMARY KEY,
+  token TEXT NOT NULL,
+  created_at INTEGER,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS share_tombstones (
+  share_id TEXT PRIMARY KEY,
+  code TEXT NOT NULL,
+  status INTEGER,
+  errno INTEGER,
+  reason TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS terabox_accounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  label TEXT,
+  cookie TEXT NOT NULL,
+  enabled INTEGER DEFAULT 1,
+  healthy INTEGER DEFAULT 1,
+  last_error TEXT,
+  failed_at INTEGER,
+  last_checked_at INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  label TEXT,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT,
+  allowed_modes TEXT,
+  daily_requests INTEGER,
+  daily_bytes INTEGER,
+  created_at INTEGER NOT NULL,
+  rotated_at INTEGER,
+  revoked_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  key_id INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  requests INTEGER DEFAULT 0,
+  bytes INTEGER DEFAULT 0,
+  PRIMARY KEY (key_id, day)
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  method TEXT,
+  path TEXT,
+  query TEXT,
+  status INTEGER,
+  auth_method TEXT,
+  session_id TEXT,
+  client_ip TEXT,
+  user_agent TEXT
+);
+
+-- Upgrading an existing database: run the statements below once, they are
+-- not needed for databases created from this file.
+-- ALTER TABLE media_files ADD COLUMN parent_fs_id TEXT;
+-- ALTER TABLE shares ADD COLUMN is_protected INTEGER DEFAULT 0;
+-- ALTER TABLE shares ADD COLUMN pwd_hash TEXT;
@@ -0,0 +1,217 @@
+/**
+ * Server-side TeraBox session pool for callers that send no Cookie header.
+ * Accounts come from the TERABOX_COOKIES secret (one cookie per line, or a JSON
+ * array) and the D1 terabox_accounts table, and are rotated round-robin.
+ * Cookie values only ever leave this module as upstream request headers.
+ */
+
+import { listAccounts, saveAccountHealth } from './db.js';
+import { describeUpstreamErrno } from './errno.js';
+import { fetchWithRetry, upstreamUrls } from './upstream.js';
+
+const DEFAULT_ACCOUNT_RETRY_AFTER = 3600;
+// How long the D1 account list is reused before it is read again
+const ACCOUNT_CACHE_MS = 60000;
+
+// Per-isolate state, like the upstream circuit breakers
+let cachedAccounts = null;
+let cachedAt = 0;
+let cursor = 0;
+const secretHealth = new Map();
+
+function getAccountRetryAfter(env) {
+  const value = Number.parseInt(env.ACCOUNT_RETRY_AFTER, 10);
+  return Number.isNaN(value) || value < 0 ? DEFAULT_ACCOUNT_RETRY_AFTER : value;
+}
+
+function parseSecretCookies(value) {
+  const raw = (value || '').trim();
+  if (!raw) return [];
+  if (raw.startsWith('[')) {
+    try {
+      const list = JSON.parse(raw);
+      return Array.isArray(list) ? list.map(c => String(c).trim()).filter(Boolean) : [];
+    } catch {
+      console.error('TERABOX_COOKIES is not a valid JSON array');
+      return [];
+    }
+  }
+  return raw.split(/\r?\n/).map(c => c.trim()).filter(Boolean);
+}
+
+function secretAccounts(env) {
+  return parseSecretCookies(env.TERABOX_COOKIES).map((cookie, i) => {
+    const id = `secret:${i + 1}`;
+    const health = secretHealth.get(id) || {};
+    return {
+      id,
+      source: 'secret',
+      label: null,
+      cookie,
+      enabled: true,
+      healthy: health.healthy ?? true,
+      last_error: health.lastError ?? null,
+      failed_at: health.failedAt ?? null,
+      last_checked_at: health.checkedAt ?? null,
+      created_at: null
+    };
+  });
+}
+
+function d1Account(row) {
+  return {
+    id: String(row.id),
+    source: 'd1',
+    label: row.label ?? null,
+    cookie: row.cookie,
+    enabled: !!row.enabled,
+    healthy: !!row.healthy,
+    last_error: row.last_error ?? null,
+    failed_at: row.failed_at ?? null,
+    last_checked_at: row.last_checked_at ?? null,
+    created_at: row.created_at ?? null
+  };
+}
+
+/**
+ * Drop the cached account list so the next request reads D1 again
+ */
+export function invalidateAccounts() {
+  cachedAccounts = null;
+  cachedAt = 0;
+}
+
+/**
+ * Every configured account, secrets first. Pass fresh to bypass the isolate cache.
+ */
+export async function loadAccounts(env, { fresh = false } = {}) {
+  const now = Date.now();
+  let rows = cachedAccounts;
+  if (fresh || !rows || now - cachedAt > ACCOUNT_CACHE_MS) {
+    rows = [];
+    if (env.sharedfile) {
+      try {
+        rows = await listAccounts(env.sharedfile);
+      } catch (err) {
+        console.error('D1 account list error:', err);
+      }
+    }
+    cachedAccounts = rows;
+    cachedAt = now;
+  }
+  return [...secretAccounts(env), ...rows.map(d1Account)];
+}
+
+/**
+ * Unhealthy accounts are retried once ACCOUNT_RETRY_AFTER seconds have passed
+ */
+function isUsable(account, env) {
+  if (!account.enabled) return false;
+  if (account.healthy) return true;
+  const failedAt = Number(account.failed_at) || 0;
+  return Math.floor(Date.now() / 1000) - failedAt >= getAccountRetryAfter(env);
+}
+
+/**
+ * Next usable account in round-robin order, or null when the pool is empty
+ */
+export async function pickAccount(env) {
+  const usable = (await loadAccounts(env)).filter(account => isUsable(account, env));
+  if (!usable.length) return null;
+  const account = usable[cursor % usable.length];
+  cursor += 1;
+  return account;
+}
+
+/**
+ * Give a cookie-less request a pooled session. Requests that carry their own
+ * Cookie header are returned untouched.
+ */
+export async function withAccountCookie(request, env) {
+  if (request.headers.get('Cookie')) return request;
+
+  const account = await pickAccount(env);
+  if (!account) return request;
+
+  const headers = new Headers(request.headers);
+  headers.set('Cookie', account.cookie);
+  return new Request(request, { headers });
+}
+
+async function saveHealth(env, account, health) {
+  if (account.source === 'secret') {
+    secretHealth.set(account.id, { ...secretHealth.get(account.id), ...health });
+    return;
+  }
+  if (!env.sharedfile) return;
+  try {
+    await saveAccountHealth(env.sharedfile, Number(account.id), health);
+    invalidateAccounts();
+  } catch (err) {
+    console.error('D1 account health error:', err);
+  }
+}
+
+/**
+ * Mark the pooled account owning `cookie` unhealthy. Cookies that are not in
+ * the pool (sent by the caller) are ignored.
+ */
+export async function reportAccountFailure(env, cookie, code) {
+  if (!cookie) return;
+  const account = (await loadAccounts(env)).find(a => a.cookie === cookie);
+  if (!account) return;
+  await saveHealth(env, account, {
+    healthy: false,
+    lastError: code,
+    failedAt: Math.floor(Date.now() / 1000)
+  });
+}
+
+/**
+ * Ask TeraBox whether an account's session is still logged in and record the result
+ */
+export async function checkAccount(env, account) {
+  const checkedAt = Math.floor(Date.now() / 1000);
+  let health;
+  try {
+    const res = await fetchWithRetry(
+      upstreamUrls(env, 'page', host => `https://${host}/api/check/login`),
+      {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+          Accept: 'application/json',
+          Cookie: account.cookie
+        }
+      },
+      0
+    );
+    const data = await res.json().catch(() => null);
+    const errno = Number(data?.errno);
+    if (res.ok && errno === 0) {
+      health = { healthy: true, lastError: null, failedAt: null, checkedAt };
+    } else {
+      const code = Number.isNaN(errno) ? `http_${res.status}` : describeUpstreamErrno(errno).code;
+      health = { healthy: false, lastError: code, failedAt: checkedAt, checkedAt };
+    }
+  } catch (err) {
+    // Network trouble says nothing about the session, keep the previous state
+    return { ...publicAccount(account), check_error: err?.name === 'AbortError' ? 'upstream_timeout' : 'upstream_error' };
+  }
+
+  await saveHealth(env, account, health);
+  return publicAccount({
+    ...account,
+    healthy: health.healthy,
+    last_error: health.lastError,
+    failed_at: health.failedAt,
+    last_checked_at: checkedAt
+  });
+}
+
+/**
+ * Account fields that are safe to return to admins (never the cookie)
+ */
+export function publicAccount(account) {
+  const { cookie, ...rest } = account;
+  return rest;
+}
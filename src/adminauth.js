@@ -0,0 +1,115 @@
+/**
+ * Admin authentication and audit logging. Admin routes accept the ADMIN_KEY
+ * in the x-admin-key header (never the URL) or a short-lived session token
+ * from POST /admin/login as "Authorization: Bearer <token>". Without ADMIN_KEY
+ * every admin route is refused. Each admin request is written to the D1
+ * admin_audit_log table.
+ */
+
+import { errorJson } from './utils.js';
+import { signPayload, verifyPayload } from './signing.js';
+import { insertAdminAudit } from './db.js';
+
+const DEFAULT_ADMIN_SESSION_TTL = 3600;
+
+const encoder = new TextEncoder();
+
+function getAdminSessionTtl(env) {
+  const ttl = Number.parseInt(env.ADMIN_SESSION_TTL, 10);
+  return Number.isNaN(ttl) || ttl <= 0 ? DEFAULT_ADMIN_SESSION_TTL : ttl;
+}
+
+// Sessions die with the key they were issued under unless a separate secret is set
+function getSessionSecret(env) {
+  return env.ADMIN_SESSION_SECRET || `admin-session:${env.ADMIN_KEY}`;
+}
+
+/**
+ * Compare two strings in time independent of where they differ. Both sides
+ * are hashed first so their lengths do not leak either.
+ */
+export async function timingSafeEqual(a, b) {
+  const [left, right] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(String(a))),
+    crypto.subtle.digest('SHA-256', encoder.encode(String(b)))
+  ]);
+  const x = new Uint8Array(left);
+  const y = new Uint8Array(right);
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+function randomId() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(12)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * New session token: { token, sessionId, expiresAt }
+ */
+export async function issueAdminSession(env) {
+  const sessionId = randomId();
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt = now + getAdminSessionTtl(env);
+  const token = await signPayload(getSessionSecret(env), { k: 'admin', sid: sessionId, iat: now, e: expiresAt });
+  return { token, sessionId, expiresAt };
+}
+
+async function verifyAdminSession(env, token) {
+  const payload = await verifyPayload(getSessionSecret(env), token);
+  if (!payload || payload.k !== 'admin' || typeof payload.sid !== 'string') {
+    return { error: errorJson(401, 'Invalid admin session token', 'invalid_admin_session') };
+  }
+  if (!Number.isFinite(payload.e) || payload.e <= Math.floor(Date.now() / 1000)) {
+    return { error: errorJson(401, 'Admin session expired, log in again', 'admin_session_expired') };
+  }
+  return { auth: { method: 'session', sessionId: payload.sid } };
+}
+
+/**
+ * Authenticate an admin request. Returns { auth: { method, sessionId } } or
+ * { error }. With `keyOnly` (the login route) session tokens are not accepted.
+ */
+export async function authenticateAdmin(request, url, env, { keyOnly = false } = {}) {
+  if (!env.ADMIN_KEY) {
+    return { error: errorJson(503, 'Admin access is disabled until ADMIN_KEY is configured', 'admin_unconfigured') };
+  }
+  if (url.searchParams.has('key')) {
+    return { error: errorJson(400, 'Send the admin key in the x-admin-key header, not the URL', 'admin_key_in_query') };
+  }
+
+  const key = request.headers.get('x-admin-key');
+  if (key) {
+    return await timingSafeEqual(key, env.ADMIN_KEY)
+      ? { auth: { method: 'key', sessionId: null } }
+      : { error: errorJson(401, 'Unauthorized', 'unauthorized') };
+  }
+
+  const bearer = request.headers.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (bearer && !keyOnly) return verifyAdminSession(env, bearer);
+
+  return { error: errorJson(401, 'Unauthorized', 'unauthorized') };
+}
+
+/**
+ * Record an admin request in the background. Failures are logged, never raised.
+ */
+export function auditAdminRequest(ctx, env, request, url, status, auth) {
+  if (!env.sharedfile) return;
+
+  const query = new URLSearchParams(url.search);
+  query.delete('key');
+  const entry = {
+    method: request.method,
+    path: url.pathname,
+    query: query.toString() || null,
+    status,
+    authMethod: auth?.method || null,
+    sessionId: auth?.sessionId || null,
+    clientIp: request.headers.get('CF-Connecting-IP'),
+    userAgent: request.headers.get('User-Agent')
+  };
+
+  const write = insertAdminAudit(env.sharedfile, entry).catch(err => console.error('Admin audit error:', err));
+  if (ctx?.waitUntil) ctx.waitUntil(write);
+}
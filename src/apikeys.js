@@ -0,0 +1,208 @@
+/**
+ * Per-client API keys for the public modes. Keys live in the D1 api_keys
+ * table (only their SHA-256 is stored) with allowed modes and daily request
+ * and bandwidth quotas; usage is counted per UTC day in api_key_usage.
+ */
+
+import { sha256Hex, errorJson } from './utils.js';
+import { verifySegmentToken } from './signing.js';
+import {
+  getApiKeyByHash,
+  getApiKeyById,
+  getApiKeyUsage,
+  addApiKeyUsage,
+  takeApiKeyRequests
+} from './db.js';
+
+const KEY_PREFIX = 'tbx_';
+
+/**
+ * Modes gated by API keys and that a key can be limited to
+ */
+export const PUBLIC_MODES = ['page', 'api', 'resolve', 'batch', 'stream', 'playlist', 'segment', 'subtitles', 'download', 'thumb', 'player', 'lookup'];
+
+// Modes reached through signed tokens minted for a keyed stream request
+const TOKEN_MODES = new Set(['segment', 'playlist']);
+
+// The key a request was authorized with, for signing and usage accounting
+const requestKeys = new WeakMap();
+
+export function requiresApiKey(env) {
+  return env.API_KEYS_REQUIRED === '1' || env.API_KEYS_REQUIRED === 'true';
+}
+
+export function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight() {
+  const now = new Date();
+  return Math.floor(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) / 1000);
+}
+
+/**
+ * New random key; the plaintext is only ever returned at creation or rotation
+ */
+export async function generateApiKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  const key = KEY_PREFIX + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return { key, keyHash: await sha256Hex(key), keyPrefix: key.slice(0, KEY_PREFIX.length + 6) };
+}
+
+export function parseAllowedModes(value) {
+  if (!value) return null;
+  const modes = String(value).split(',').map(m => m.trim()).filter(Boolean);
+  return modes.length ? modes : null;
+}
+
+function readApiKey(request) {
+  const url = new URL(request.url);
+  return request.headers.get('x-api-key') || url.searchParams.get('api_key');
+}
+
+function quotaHeaders(key, usage) {
+  const headers = {};
+  if (key.daily_requests !== null && key.daily_requests !== undefined) {
+    headers['X-Quota-Requests-Limit'] = String(key.daily_requests);
+    headers['X-Quota-Requests-Remaining'] = String(Math.max(0, key.daily_requests - usage.requests));
+  }
+  if (key.daily_bytes !== null && key.daily_bytes !== undefined) {
+    headers['X-Quota-Bytes-Limit'] = String(key.daily_bytes);
+    headers['X-Quota-Bytes-Remaining'] = String(Math.max(0, key.daily_bytes - usage.bytes));
+  }
+  if (Object.keys(headers).length) headers['X-Quota-Reset'] = String(nextUtcMidnight());
+  return headers;
+}
+
+function quotaExceeded(key, usage, limit) {
+  const reset = nextUtcMidnight();
+  const response = errorJson(429, `Daily ${limit} quota exceeded`, 'quota_exceeded', {
+    key_id: key.id,
+    limit,
+    reset
+  });
+  const headers = new Headers(response.headers);
+  Object.entries(quotaHeaders(key, usage)).forEach(([name, value]) => headers.set(name, value));
+  headers.set('Retry-After', String(Math.max(1, reset - Math.floor(Date.now() / 1000))));
+  return new Response(response.body, { status: 429, headers });
+}
+
+/**
+ * Key id a valid signed segment/playlist token was minted for (null when it
+ * was minted without a key)
+ */
+async function readTokenKeyId(env, params, mode) {
+  const token = params.get('token');
+  if (!token || !env.SEGMENT_SECRET) return { tokenRequest: false };
+  const verified = await verifySegmentToken(env.SEGMENT_SECRET, token, mode);
+  if (!verified.payload) return { tokenRequest: false };
+  return { tokenRequest: true, keyId: verified.payload.a || null };
+}
+
+/**
+ * Check the caller's API key before dispatch. Returns { grant } (null when the
+ * request runs without a key) or { error } with a 401/403/429 response.
+ * The request counts `count` times against the daily quota (once per batch item).
+ * Segment and playlist requests with a valid signed token inherit the key the
+ * token was minted for and only count towards its bandwidth.
+ */
+export async function authorizeApiKey(request, env, mode, params, count = 1) {
+  const presented = readApiKey(request);
+  const required = requiresApiKey(env);
+
+  // Tokens are read first so a keyed token is charged even when keys are optional
+  const fromToken = !presented && TOKEN_MODES.has(mode)
+    ? await readTokenKeyId(env, params, mode)
+    : { tokenRequest: false };
+  if (fromToken.tokenRequest && !fromToken.keyId) return { grant: null };
+  if (!presented && !fromToken.tokenRequest && !required) return { grant: null };
+
+  if (!env.sharedfile) {
+    return { error: errorJson(503, 'D1 database not configured', 'd1_unavailable') };
+  }
+
+  let key = null;
+  let countRequest = true;
+  if (presented) {
+    key = await getApiKeyByHash(env.sharedfile, await sha256Hex(presented));
+    if (!key) return { error: errorJson(401, 'Invalid or revoked API key', 'invalid_api_key') };
+  } else if (fromToken.keyId) {
+    key = await getApiKeyById(env.sharedfile, fromToken.keyId);
+    if (!key || key.revoked_at) {
+      return { error: errorJson(401, 'Invalid or revoked API key', 'invalid_api_key') };
+    }
+    countRequest = false;
+  }
+
+  if (!key) {
+    return { error: errorJson(401, 'API key required (x-api-key header or api_key param)', 'api_key_required') };
+  }
+
+  const allowed = parseAllowedModes(key.allowed_modes);
+  if (allowed && !allowed.includes(mode)) {
+    return { error: errorJson(403, `API key not allowed to use mode=${mode}`, 'mode_not_allowed', { allowed }) };
+  }
+
+  const day = utcDay();
+  const usage = await getApiKeyUsage(env.sharedfile, key.id, day);
+  if (key.daily_bytes !== null && usage.bytes >= key.daily_bytes) {
+    return { error: quotaExceeded(key, usage, 'bytes') };
+  }
+
+  if (countRequest) {
+    if (key.daily_requests === null) {
+      await addApiKeyUsage(env.sharedfile, key.id, day, count, 0);
+    } else if (!await takeApiKeyRequests(env.sharedfile, key.id, day, count, key.daily_requests)) {
+      return { error: quotaExceeded(key, usage, 'requests') };
+    }
+    usage.requests += count;
+  }
+
+  const grant = { key, day, usage };
+  requestKeys.set(request, grant);
+  return { grant };
+}
+
+/**
+ * Id of the API key a request was authorized with, if any
+ */
+export function getRequestApiKeyId(request) {
+  return requestKeys.get(request)?.key.id ?? null;
+}
+
+// Workers keep Content-Length on a re-piped body only through a FixedLengthStream
+function passThrough(response) {
+  const length = Number.parseInt(response.headers.get('content-length'), 10);
+  return Number.isFinite(length) && typeof FixedLengthStream === 'function'
+    ? new FixedLengthStream(length)
+    : new TransformStream();
+}
+
+/**
+ * Add quota headers to the response and count the bytes actually sent
+ * against the key's bandwidth quota once the body has streamed through
+ */
+export function finishApiKeyRequest(grant, response, env, ctx) {
+  if (!grant) return response;
+
+  const headers = new Headers(response.headers);
+  Object.entries(quotaHeaders(grant.key, grant.usage)).forEach(([name, value]) => headers.set(name, value));
+  if (!response.body) return new Response(null, { status: response.status, headers });
+
+  let bytes = 0;
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    }
+  });
+  const { readable, writable } = passThrough(response);
+  const counted = response.body.pipeThrough(counter).pipeTo(writable)
+    // A client that disconnects early is charged for what it received
+    .catch(() => {})
+    .then(() => bytes > 0 && addApiKeyUsage(env.sharedfile, grant.key.id, grant.day, 0, bytes))
+    .catch(err => console.error('API key usage error:', err));
+  if (ctx?.waitUntil) ctx.waitUntil(counted);
+
+  return new Response(readable, { status: response.status, headers });
+}
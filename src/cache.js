@@ -0,0 +1,140 @@
+/**
+ * Edge caching of playlists, segments and thumbnails through the Workers Cache API.
+ * Keys are synthetic URLs on the worker's own origin so purges stay in-zone.
+ * Only complete 200 responses are stored; cache.match() answers Range and
+ * conditional requests from a stored object by itself.
+ */
+
+/**
+ * Env setting and default TTL (seconds) per cached kind
+ */
+const CACHE_TTLS = {
+  playlist: { setting: 'PLAYLIST_CACHE_TTL', fallback: 30 },
+  segment: { setting: 'SEGMENT_CACHE_TTL', fallback: 86400 },
+  thumb: { setting: 'THUMB_CACHE_TTL', fallback: 604800 }
+};
+
+const CACHE_STATUS_HEADER = 'X-Cache-Status';
+
+/**
+ * Query params that only authenticate a TeraBox URL; two URLs that differ in
+ * these alone point at the same bytes
+ */
+const SIGNATURE_PARAMS = [
+  'sign',
+  'signature',
+  'timestamp',
+  'time',
+  'expires',
+  'dstime',
+  'dp-logid',
+  'logid',
+  'token',
+  'auth_key'
+];
+
+/**
+ * Request headers cache.match() uses to answer partial and conditional requests
+ */
+const MATCH_HEADERS = ['Range', 'If-Range', 'If-None-Match', 'If-Modified-Since'];
+
+export function getEdgeCache() {
+  return typeof caches !== 'undefined' && caches.default ? caches.default : null;
+}
+
+/**
+ * TTL in seconds for 'playlist', 'segment' or 'thumb' responses, 0 disables caching
+ */
+export function getCacheTtl(env, kind) {
+  const { setting, fallback } = CACHE_TTLS[kind];
+  const ttl = Number.parseInt(env[setting], 10);
+  return Number.isNaN(ttl) || ttl < 0 ? fallback : ttl;
+}
+
+export function stripSignatureParams(url) {
+  const u = new URL(url);
+  SIGNATURE_PARAMS.forEach(param => u.searchParams.delete(param));
+  u.searchParams.sort();
+  return u.toString();
+}
+
+function cacheKeyUrl(request, kind, values) {
+  const key = new URL(`/__cache/${kind}`, request.url);
+  Object.entries(values).forEach(([name, value]) => {
+    if (value !== null && value !== undefined && value !== '') key.searchParams.set(name, String(value));
+  });
+  return key.toString();
+}
+
+/**
+ * Key of a rewritten playlist. `pwdKey` separates protected shares by extraction
+ * code, `apiKeyId` keeps the key-bound segment tokens of different clients apart.
+ */
+export function playlistCacheKey(request, { surl, type, fid, index, pwdKey, apiKeyId }) {
+  return cacheKeyUrl(request, 'playlist', { surl, type, fid, index, pwd: pwdKey, key: apiKeyId });
+}
+
+/**
+ * Key of a segment: the upstream URL without its signature params
+ */
+export function segmentCacheKey(request, upstreamUrl) {
+  return cacheKeyUrl(request, 'segment', { u: stripSignatureParams(upstreamUrl) });
+}
+
+/**
+ * Key of a thumbnail by file and requested size
+ */
+export function thumbCacheKey(request, fid, size) {
+  return cacheKeyUrl(request, 'thumb', { fid, size });
+}
+
+/**
+ * Look a key up, carrying over the caller's Range and conditional headers
+ */
+export async function matchCache(cacheKey, request) {
+  const cache = getEdgeCache();
+  if (!cache) return null;
+
+  const headers = new Headers();
+  MATCH_HEADERS.forEach((h) => {
+    const v = request.headers.get(h);
+    if (v) headers.set(h, v);
+  });
+
+  try {
+    const cached = await cache.match(new Request(cacheKey, { headers }));
+    return cached ? withCacheStatus(cached, 'HIT') : null;
+  } catch (err) {
+    console.error('Cache match error:', err);
+    return null;
+  }
+}
+
+/**
+ * Store a complete 200 response under `cacheKey` for `ttl` seconds and return
+ * the response to send to the caller (status MISS). Anything else is passed
+ * through with status BYPASS.
+ */
+export function storeInCache(ctx, cacheKey, response, ttl) {
+  const cache = getEdgeCache();
+  if (!cache || !ttl || response.status !== 200) {
+    return withCacheStatus(response, 'BYPASS');
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set('Cache-Control', `public, max-age=${ttl}`);
+  headers.delete(CACHE_STATUS_HEADER);
+  const cacheable = new Response(response.body, { status: 200, headers });
+
+  const stored = cacheable.clone();
+  const put = cache.put(cacheKey, stored).catch(err => console.error('Cache put error:', err));
+  if (ctx?.waitUntil) ctx.waitUntil(put);
+
+  return withCacheStatus(cacheable, 'MISS');
+}
+
+export function withCacheStatus(response, status) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHE_STATUS_HEADER, status);
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
@@ -0,0 +1,41 @@
+/**
+ * Durable Object that coalesces live resolves for one surl across isolates.
+ * Workers address it with idFromName(surl), so every isolate resolving the same
+ * share talks to the same instance and shares its in-flight upstream fetch.
+ */
+
+import { fetchLiveShare } from './handlers.js';
+import { errorJson } from './utils.js';
+
+export class ResolveCoordinator {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.inflight = new Map();
+  }
+
+  async fetch(request) {
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return errorJson(400, 'Request body must be valid JSON', 'invalid_json');
+    }
+
+    const { surl, options = {}, cookie } = payload || {};
+    if (!surl) return errorJson(400, 'Missing surl', 'bad_request');
+
+    // The caller's session decides what upstream returns (dlinks need cookies)
+    const key = JSON.stringify([surl, options, cookie || null]);
+    if (!this.inflight.has(key)) {
+      const upstreamRequest = new Request('https://coordinator/resolve', {
+        headers: cookie ? { Cookie: cookie } : {}
+      });
+      const flight = fetchLiveShare(upstreamRequest, this.env, surl, options)
+        .finally(() => this.inflight.delete(key));
+      this.inflight.set(key, flight);
+    }
+
+    return Response.json(await this.inflight.get(key));
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * CORS policy per route group. Public modes and /admin each have their own
+ * origin allowlist, credentials flag, methods and headers. Allowlists are
+ * comma-separated origins where "*" alone allows any origin and a "*" label
+ * matches subdomains, e.g. "https://*.example.com". With credentials enabled a
+ * bare "*" is ignored, so only explicitly listed origins get credentialed access.
+ */
+
+const PUBLIC_GROUP = {
+  originsSetting: 'CORS_ORIGINS',
+  credentialsSetting: 'CORS_CREDENTIALS',
+  // Open by default, as the proxy always was
+  defaultOrigins: '*',
+  methods: 'GET, HEAD, POST, OPTIONS',
+  allowHeaders: [
+    'Content-Type',
+    'Cookie',
+    'Range',
+    'If-Range',
+    'If-None-Match',
+    'If-Modified-Since',
+    'X-API-Key'
+  ],
+  exposeHeaders: [
+    'Content-Range',
+    'Content-Length',
+    'Accept-Ranges',
+    'Content-Disposition',
+    'ETag',
+    'Last-Modified',
+    'Retry-After',
+    'X-Cache-Status',
+    'X-Thumbnail-Size',
+    'X-Quota-Requests-Limit',
+    'X-Quota-Requests-Remaining',
+    'X-Quota-Bytes-Limit',
+    'X-Quota-Bytes-Remaining',
+    'X-Quota-Reset',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset'
+  ]
+};
+
+const ADMIN_GROUP = {
+  originsSetting: 'ADMIN_CORS_ORIGINS',
+  credentialsSetting: 'ADMIN_CORS_CREDENTIALS',
+  // Same-origin only unless a dashboard origin is configured
+  defaultOrigins: '',
+  methods: 'GET, POST, OPTIONS',
+  allowHeaders: ['Content-Type', 'Authorization', 'X-Admin-Key'],
+  exposeHeaders: ['Retry-After']
+};
+
+const DEFAULT_CORS_MAX_AGE = 86400;
+
+function isEnabled(value) {
+  return value === '1' || value === 'true';
+}
+
+function parseOrigins(value) {
+  return String(value).split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+function originPattern(entry) {
+  const escaped = entry.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '[a-z0-9-]+(?:\\.[a-z0-9-]+)*')}$`);
+}
+
+/**
+ * True when `origin` matches an explicit allowlist entry. A bare "*" is not
+ * an origin and never matches here.
+ */
+export function isOriginAllowed(origin, allowlist) {
+  if (!origin) return false;
+  const normalized = origin.toLowerCase();
+  return allowlist.some(entry => entry !== '*' && originPattern(entry).test(normalized));
+}
+
+// Settings already warned about in this isolate
+const warnedWildcards = new Set();
+
+/**
+ * CORS headers for this request, or null when its origin is not allowed.
+ * "*" is only honoured without credentials and sent as-is; otherwise the
+ * origin must be listed explicitly and is echoed.
+ */
+export function resolveCors(request, env) {
+  const group = new URL(request.url).pathname.startsWith('/admin') ? ADMIN_GROUP : PUBLIC_GROUP;
+  const allowlist = parseOrigins(env[group.originsSetting] ?? group.defaultOrigins);
+  const credentials = isEnabled(env[group.credentialsSetting]);
+  const origin = request.headers.get('Origin');
+  const wildcard = allowlist.includes('*') && !credentials;
+
+  if (credentials && allowlist.includes('*') && !warnedWildcards.has(group.originsSetting)) {
+    warnedWildcards.add(group.originsSetting);
+    console.warn(`${group.credentialsSetting} is on, so "*" in ${group.originsSetting} is ignored; list origins explicitly`);
+  }
+
+  // The answer depends on Origin whenever it is not a plain "*"
+  const vary = !wildcard;
+  if (!wildcard && !isOriginAllowed(origin, allowlist)) {
+    return { headers: null, vary };
+  }
+
+  const headers = {
+    'Access-Control-Allow-Origin': wildcard ? '*' : origin,
+    'Access-Control-Allow-Methods': group.methods,
+    'Access-Control-Allow-Headers': group.allowHeaders.join(', '),
+    'Access-Control-Expose-Headers': group.exposeHeaders.join(', ')
+  };
+  if (credentials) headers['Access-Control-Allow-Credentials'] = 'true';
+  return { headers, vary };
+}
+
+function appendVary(headers) {
+  const current = headers.get('Vary');
+  if (!current) headers.set('Vary', 'Origin');
+  else if (!current.split(',').some(v => v.trim().toLowerCase() === 'origin')) {
+    headers.set('Vary', `${current}, Origin`);
+  }
+}
+
+/**
+ * Add the request's CORS headers to a response
+ */
+export function withCors(response, cors) {
+  const headers = new Headers(response.headers);
+  if (cors?.headers) {
+    Object.entries(cors.headers).forEach(([key, value]) => {
+      headers.set(key, value);
+    });
+  }
+  if (cors?.vary) appendVary(headers);
+  return new Response(response.body, {
+    status: response.status,
+    headers
+  });
+}
+
+/**
+ * Answer an OPTIONS preflight
+ */
+export function preflightResponse(cors, env) {
+  const maxAge = Number.parseInt(env.CORS_MAX_AGE, 10);
+  const headers = new Headers();
+  if (cors.headers) {
+    Object.entries(cors.headers).forEach(([key, value]) => {
+      if (key !== 'Access-Control-Expose-Headers') headers.set(key, value);
+    });
+    headers.set('Access-Control-Max-Age', String(Number.isNaN(maxAge) || maxAge < 0 ? DEFAULT_CORS_MAX_AGE : maxAge));
+  }
+  if (cors.vary) appendVary(headers);
+  return new Response(null, { status: 204, headers });
+}
@@ -7,11 +7,15 @@
  * @param {D1Database} db - D1 database binding
  * @param {string} shareId - The share URL identifier (surl)
  * @param {object} data - Upstream API response data
+ * @param {object} [options] - { pwdHash } for password-protected shares
  */
-export async function saveShare(db, shareId, data) {
+export async function saveShare(db, shareId, data, options = {}) {
   const stmt = db.prepare(`
-    INSERT INTO shares (share_id, uk, title, server_time, cfrom_id, errno, request_id, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    INSERT INTO shares (
+      share_id, uk, title, server_time, cfrom_id, errno, request_id,
+      is_protected, pwd_hash, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     ON CONFLICT(share_id) DO UPDATE SET
       uk = excluded.uk,
       title = excluded.title,
@@ -19,6 +23,8 @@ export async function saveShare(db, shareId, data) {
       cfrom_id = excluded.cfrom_id,
       errno = excluded.errno,
       request_id = excluded.request_id,
+      is_protected = excluded.is_protected,
+      pwd_hash = excluded.pwd_hash,
       updated_at = CURRENT_TIMESTAMP
   `);
 
@@ -29,7 +35,9 @@ export async function saveShare(db, shareId, data) {
     data.server_time || null,
     data.cfrom_id || null,
     data.errno || 0,
-    data.request_id?.toString() || null
+    data.request_id?.toString() || null,
+    data.is_protected ? 1 : 0,
+    options.pwdHash || null
   ).run();
 }
 
@@ -37,16 +45,16 @@ export async function saveShare(db, shareId, data) {
  * Save media file metadata to D1
  * @param {D1Database} db - D1 database binding
  * @param {string} shareId - The share URL identifier
- * @param {object} file - File object from API response
+ * @param {object} file - File object from API response (parent_fs_id set for nested entries)
  */
 export async function saveMediaFile(db, shareId, file) {
   const stmt = db.prepare(`
     INSERT INTO media_files (
       fs_id, share_id, category, isdir, local_ctime, local_mtime,
       md5, path, play_forbid, server_ctime, server_filename,
-      server_mtime, size, is_adult, cmd5, dlink
+      server_mtime, size, is_adult, cmd5, dlink, parent_fs_id
     )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(fs_id) DO UPDATE SET
       share_id = excluded.share_id,
       category = excluded.category,
@@ -57,7 +65,8 @@ export async function saveMediaFile(db, shareId, file) {
       size = excluded.size,
       is_adult = excluded.is_adult,
       cmd5 = excluded.cmd5,
-      dlink = excluded.dlink
+      dlink = excluded.dlink,
+      parent_fs_id = excluded.parent_fs_id
   `);
 
   await stmt.bind(
@@ -76,7 +85,8 @@ export async function saveMediaFile(db, shareId, file) {
     file.size ? Number(file.size) : null,
     file.is_adult || 0,
     file.cmd5 || null,
-    file.dlink || null
+    file.dlink || null,
+    file.parent_fs_id?.toString() || null
   ).run();
 
   // Save thumbnails if present
@@ -112,51 +122,54 @@ export async function saveThumbnails(db, fsId, thumbs) {
   }
 }
 
+// Statements per db.batch() call; large shares are written in several batches
+const MAX_BATCH_STATEMENTS = 100;
+
 /**
  * Store complete upstream response in D1 using batched operations
  * @param {D1Database} db - D1 database binding
  * @param {string} shareId - The share URL identifier
  * @param {object} upstream - Complete upstream API response
+ * @param {object} [options] - { pwdHash } for password-protected shares, { prune } to
+ *   delete files (and their thumbnails) that are no longer in `upstream.list`
  */
-export async function storeUpstreamData(db, shareId, upstream) {
+export async function storeUpstreamData(db, shareId, upstream, options = {}) {
   try {
     const batch = [];
 
-    // Add share metadata statement
-    batch.push(
-      db.prepare(`
-        INSERT INTO shares (share_id, uk, title, server_time, cfrom_id, errno, request_id, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-        ON CONFLICT(share_id) DO UPDATE SET
-          uk = excluded.uk,
-          title = excluded.title,
-          server_time = excluded.server_time,
-          cfrom_id = excluded.cfrom_id,
-          errno = excluded.errno,
-          request_id = excluded.request_id,
-          updated_at = CURRENT_TIMESTAMP
-      `).bind(
-        shareId,
-        upstream.uk?.toString() || null,
-        upstream.title || null,
-        upstream.server_time || null,
-        upstream.cfrom_id || null,
-        upstream.errno || 0,
-        upstream.request_id?.toString() || null
-      )
-    );
-
     // Add all file statements
     if (upstream.list && Array.isArray(upstream.list)) {
+      // File ids go in as one JSON parameter; D1 binds at most 100 per statement
+      const fileIds = JSON.stringify(upstream.list.map(file => String(file.fs_id)));
+
+      if (options.prune) {
+        batch.push(
+          db.prepare(`
+            DELETE FROM thumbnails WHERE fs_id IN (
+              SELECT fs_id FROM media_files
+              WHERE share_id = ? AND fs_id NOT IN (SELECT value FROM json_each(?))
+            )
+          `).bind(shareId, fileIds),
+          db.prepare('DELETE FROM media_files WHERE share_id = ? AND fs_id NOT IN (SELECT value FROM json_each(?))')
+            .bind(shareId, fileIds)
+        );
+      }
+
+      // Replace the thumbnails of every file that comes with new ones
+      const thumbIds = JSON.stringify(upstream.list.filter(file => file.thumbs).map(file => String(file.fs_id)));
+      batch.push(
+        db.prepare('DELETE FROM thumbnails WHERE fs_id IN (SELECT value FROM json_each(?))').bind(thumbIds)
+      );
+
       for (const file of upstream.list) {
         batch.push(
           db.prepare(`
             INSERT INTO media_files (
               fs_id, share_id, category, isdir, local_ctime, local_mtime,
               md5, path, play_forbid, server_ctime, server_filename,
-              server_mtime, size, is_adult, cmd5, dlink
+              server_mtime, size, is_adult, cmd5, dlink, parent_fs_id
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             ON CONFLICT(fs_id) DO UPDATE SET
               share_id = excluded.share_id,
               category = excluded.category,
@@ -167,7 +180,8 @@ export async function storeUpstreamData(db, shareId, upstream) {
               size = excluded.size,
               is_adult = excluded.is_adult,
               cmd5 = excluded.cmd5,
-              dlink = excluded.dlink
+              dlink = excluded.dlink,
+              parent_fs_id = excluded.parent_fs_id
           `).bind(
             file.fs_id,
             shareId,
@@ -184,17 +198,13 @@ export async function storeUpstreamData(db, shareId, upstream) {
             file.size ? Number(file.size) : null,
             file.is_adult || 0,
             file.cmd5 || null,
-            file.dlink || null
+            file.dlink || null,
+            file.parent_fs_id?.toString() || null
           )
         );
 
         // Add thumbnail statements if present
         if (file.thumbs) {
-          // Delete existing thumbnails for this file
-          batch.push(
-            db.prepare('DELETE FROM thumbnails WHERE fs_id = ?').bind(file.fs_id)
-          );
-          
           const thumbnailTypes = ['url1', 'url2', 'url3', 'icon'];
           for (const type of thumbnailTypes) {
             if (file.thumbs[type]) {
@@ -208,12 +218,53 @@ export async function storeUpstreamData(db, shareId, upstream) {
       }
     }
 
-    // Execute all statements in one batch
-    await db.batch(batch);
+    // The share row goes last: its updated_at is what makes the files a cache
+    // hit, so it is only written once every earlier chunk has committed
+    batch.push(
+      db.prepare(`
+        INSERT INTO shares (
+          share_id, uk, title, server_time, cfrom_id, errno, request_id,
+          is_protected, pwd_hash, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(share_id) DO UPDATE SET
+          uk = excluded.uk,
+          title = excluded.title,
+          server_time = excluded.server_time,
+          cfrom_id = excluded.cfrom_id,
+          errno = excluded.errno,
+          request_id = excluded.request_id,
+          is_protected = excluded.is_protected,
+          pwd_hash = excluded.pwd_hash,
+          updated_at = CURRENT_TIMESTAMP
+      `).bind(
+        shareId,
+        upstream.uk?.toString() || null,
+        upstream.title || null,
+        upstream.server_time || null,
+        upstream.cfrom_id || null,
+        upstream.errno || 0,
+        upstream.request_id?.toString() || null,
+        upstream.is_protected ? 1 : 0,
+        options.pwdHash || null
+      )
+    );
+
+    // Execute the statements in batches of at most MAX_BATCH_STATEMENTS; each
+    // batch commits on its own
+    for (let i = 0; i < batch.length; i += MAX_BATCH_STATEMENTS) {
+      await db.batch(batch.slice(i, i + MAX_BATCH_STATEMENTS));
+    }
 
     return true;
   } catch (err) {
     console.error('D1 storage error:', err);
+    // Earlier batches may have committed; an existing row with no updated_at
+    // is never fresh, so the next resolve refetches instead of serving them
+    await db.prepare('UPDATE shares SET updated_at = NULL WHERE share_id = ?')
+      .bind(shareId)
+      .run()
+      .catch(markErr => console.error('D1 storage error:', markErr));
     return false;
   }
 }
@@ -235,15 +286,16 @@ export async function getShareFromDb(db, shareId) {
     .all();
 
   const fileRows = files.results || [];
-  const fileIds = fileRows.map(file => file.fs_id).filter(Boolean);
   let thumbsByFsId = {};
 
-  if (fileIds.length > 0) {
-    const placeholders = fileIds.map(() => '?').join(',');
-    const thumbs = await db.prepare(
-      `SELECT fs_id, url, thumbnail_type FROM thumbnails WHERE fs_id IN (${placeholders})`
-    )
-      .bind(...fileIds)
+  if (fileRows.length > 0) {
+    // Joined on share_id: one bound parameter however many files the share has
+    const thumbs = await db.prepare(`
+      SELECT t.fs_id, t.url, t.thumbnail_type FROM thumbnails t
+      JOIN media_files m ON m.fs_id = t.fs_id
+      WHERE m.share_id = ?
+    `)
+      .bind(shareId)
       .all();
 
     thumbsByFsId = {};
@@ -265,3 +317,318 @@ export async function getShareFromDb(db, shareId) {
     list: filesWithThumbs
   };
 }
+
+/**
+ * Get a cached jsToken from D1 when it has not expired
+ * @param {D1Database} db - D1 database binding
+ * @param {string} cacheKey - Session the token was extracted for
+ */
+export async function getJsTokenFromDb(db, cacheKey) {
+  const row = await db.prepare('SELECT token FROM js_tokens WHERE cache_key = ? AND expires_at > ?')
+    .bind(cacheKey, Math.floor(Date.now() / 1000))
+    .first();
+
+  return row?.token || null;
+}
+
+/**
+ * Save an extracted jsToken to D1
+ * @param {D1Database} db - D1 database binding
+ * @param {string} cacheKey - Session the token was extracted for
+ * @param {string} token - The jsToken
+ * @param {number} ttlSeconds - Seconds until the token is considered stale
+ */
+export async function saveJsToken(db, cacheKey, token, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  await db.prepare(`
+    INSERT INTO js_tokens (cache_key, token, created_at, expires_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(cache_key) DO UPDATE SET
+      token = excluded.token,
+      created_at = excluded.created_at,
+      expires_at = excluded.expires_at
+  `).bind(cacheKey, token, now, now + ttlSeconds).run();
+}
+
+/**
+ * Delete a cached jsToken from D1
+ * @param {D1Database} db - D1 database binding
+ * @param {string} cacheKey - Session the token was extracted for
+ */
+export async function deleteJsToken(db, cacheKey) {
+  await db.prepare('DELETE FROM js_tokens WHERE cache_key = ?').bind(cacheKey).run();
+}
+
+/**
+ * Get an unexpired tombstone for a share that failed permanently
+ * @param {D1Database} db - D1 database binding
+ * @param {string} shareId - The share URL identifier
+ */
+export async function getTombstone(db, shareId) {
+  return db.prepare('SELECT * FROM share_tombstones WHERE share_id = ? AND expires_at > ?')
+    .bind(shareId, Math.floor(Date.now() / 1000))
+    .first();
+}
+
+/**
+ * Record a permanent resolve failure for a share
+ * @param {D1Database} db - D1 database binding
+ * @param {string} shareId - The share URL identifier
+ * @param {object} failure - { status, code, message, details: { errno } }
+ * @param {number} ttlSeconds - Seconds the tombstone short-circuits resolves
+ */
+export async function saveTombstone(db, shareId, failure, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  await db.prepare(`
+    INSERT INTO share_tombstones (share_id, code, status, errno, reason, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(share_id) DO UPDATE SET
+      code = excluded.code,
+      status = excluded.status,
+      errno = excluded.errno,
+      reason = excluded.reason,
+      created_at = excluded.created_at,
+      expires_at = excluded.expires_at
+  `).bind(
+    shareId,
+    failure.code,
+    failure.status,
+    failure.details?.errno ?? null,
+    failure.message || null,
+    now,
+    now + ttlSeconds
+  ).run();
+}
+
+/**
+ * Remove a share's tombstone
+ * @param {D1Database} db - D1 database binding
+ * @param {string} shareId - The share URL identifier
+ */
+export async function deleteTombstone(db, shareId) {
+  await db.prepare('DELETE FROM share_tombstones WHERE share_id = ?').bind(shareId).run();
+}
+
+/**
+ * List TeraBox accounts of the server-side cookie pool
+ * @param {D1Database} db - D1 database binding
+ */
+export async function listAccounts(db) {
+  const res = await db.prepare('SELECT * FROM terabox_accounts ORDER BY id').all();
+  return res?.results || [];
+}
+
+/**
+ * Add a TeraBox account to the cookie pool
+ * @param {D1Database} db - D1 database binding
+ * @param {object} account - { label, cookie }
+ */
+export async function insertAccount(db, account) {
+  const res = await db.prepare(`
+    INSERT INTO terabox_accounts (label, cookie, enabled, healthy, created_at)
+    VALUES (?, ?, 1, 1, CURRENT_TIMESTAMP)
+  `).bind(account.label || null, account.cookie).run();
+  return res?.meta?.last_row_id ?? null;
+}
+
+/**
+ * Enable or disable a pooled account
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Account id
+ * @param {boolean} enabled - Whether the account may be used
+ */
+export async function setAccountEnabled(db, id, enabled) {
+  const res = await db.prepare('UPDATE terabox_accounts SET enabled = ? WHERE id = ?')
+    .bind(enabled ? 1 : 0, id)
+    .run();
+  return (res?.meta?.changes || 0) > 0;
+}
+
+/**
+ * Record the health of a pooled account
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Account id
+ * @param {object} health - { healthy, lastError, failedAt, checkedAt }
+ */
+export async function saveAccountHealth(db, id, health) {
+  await db.prepare(`
+    UPDATE terabox_accounts
+    SET healthy = ?, last_error = ?, failed_at = ?, last_checked_at = COALESCE(?, last_checked_at)
+    WHERE id = ?
+  `).bind(
+    health.healthy ? 1 : 0,
+    health.lastError ?? null,
+    health.failedAt ?? null,
+    health.checkedAt ?? null,
+    id
+  ).run();
+}
+
+/**
+ * Find an active API key by the SHA-256 hash of its secret
+ * @param {D1Database} db - D1 database binding
+ * @param {string} keyHash - Hex SHA-256 of the key
+ */
+export async function getApiKeyByHash(db, keyHash) {
+  return db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL')
+    .bind(keyHash)
+    .first();
+}
+
+/**
+ * Get an API key by id (revoked keys included)
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Key id
+ */
+export async function getApiKeyById(db, id) {
+  return db.prepare('SELECT * FROM api_keys WHERE id = ?').bind(id).first();
+}
+
+/**
+ * List API keys with their usage for one day
+ * @param {D1Database} db - D1 database binding
+ * @param {string} day - UTC day (YYYY-MM-DD)
+ */
+export async function listApiKeys(db, day) {
+  const res = await db.prepare(`
+    SELECT k.*, COALESCE(u.requests, 0) as requests_today, COALESCE(u.bytes, 0) as bytes_today
+    FROM api_keys k
+    LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = ?
+    ORDER BY k.id
+  `).bind(day).all();
+  return res?.results || [];
+}
+
+/**
+ * Create an API key
+ * @param {D1Database} db - D1 database binding
+ * @param {object} key - { label, keyHash, keyPrefix, allowedModes, dailyRequests, dailyBytes }
+ */
+export async function insertApiKey(db, key) {
+  const res = await db.prepare(`
+    INSERT INTO api_keys (label, key_hash, key_prefix, allowed_modes, daily_requests, daily_bytes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    key.label ?? null,
+    key.keyHash,
+    key.keyPrefix,
+    key.allowedModes ?? null,
+    key.dailyRequests ?? null,
+    key.dailyBytes ?? null,
+    Math.floor(Date.now() / 1000)
+  ).run();
+  return res?.meta?.last_row_id ?? null;
+}
+
+/**
+ * Replace the secret of an active API key
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Key id
+ * @param {string} keyHash - Hex SHA-256 of the new key
+ * @param {string} keyPrefix - First characters of the new key, for display
+ */
+export async function rotateApiKey(db, id, keyHash, keyPrefix) {
+  const res = await db.prepare(`
+    UPDATE api_keys SET key_hash = ?, key_prefix = ?, rotated_at = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `).bind(keyHash, keyPrefix, Math.floor(Date.now() / 1000), id).run();
+  return (res?.meta?.changes || 0) > 0;
+}
+
+/**
+ * Revoke an API key
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Key id
+ */
+export async function revokeApiKey(db, id) {
+  const res = await db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+    .bind(Math.floor(Date.now() / 1000), id)
+    .run();
+  return (res?.meta?.changes || 0) > 0;
+}
+
+/**
+ * Usage of an API key on one day
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Key id
+ * @param {string} day - UTC day (YYYY-MM-DD)
+ */
+export async function getApiKeyUsage(db, id, day) {
+  const row = await db.prepare('SELECT requests, bytes FROM api_key_usage WHERE key_id = ? AND day = ?')
+    .bind(id, day)
+    .first();
+  return { requests: row?.requests || 0, bytes: row?.bytes || 0 };
+}
+
+/**
+ * Add requests and bytes to an API key's usage for one day
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Key id
+ * @param {string} day - UTC day (YYYY-MM-DD)
+ * @param {number} requests - Requests to add
+ * @param {number} bytes - Bytes to add
+ */
+export async function addApiKeyUsage(db, id, day, requests, bytes) {
+  await db.prepare(`
+    INSERT INTO api_key_usage (key_id, day, requests, bytes)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(key_id, day) DO UPDATE SET
+      requests = requests + excluded.requests,
+      bytes = bytes + excluded.bytes
+  `).bind(id, day, requests, bytes).run();
+}
+
+/**
+ * Add requests to an API key's usage for one day only if the total stays
+ * within `limit`, as one conditional write. Returns false when over quota.
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Key id
+ * @param {string} day - UTC day (YYYY-MM-DD)
+ * @param {number} requests - Requests to add
+ * @param {number} limit - Daily request quota
+ */
+export async function takeApiKeyRequests(db, id, day, requests, limit) {
+  const res = await db.prepare(`
+    INSERT INTO api_key_usage (key_id, day, requests, bytes)
+    SELECT ?, ?, ?, 0 WHERE ? <= ?
+    ON CONFLICT(key_id, day) DO UPDATE SET
+      requests = requests + excluded.requests
+    WHERE requests + excluded.requests <= ?
+  `).bind(id, day, requests, requests, limit, limit).run();
+  return (res?.meta?.changes || 0) > 0;
+}
+
+/**
+ * Recent daily usage of an API key, newest first
+ * @param {D1Database} db - D1 database binding
+ * @param {number} id - Key id
+ * @param {number} limit - Number of days
+ */
+export async function listApiKeyUsage(db, id, limit) {
+  const res = await db.prepare('SELECT day, requests, bytes FROM api_key_usage WHERE key_id = ? ORDER BY day DESC LIMIT ?')
+    .bind(id, limit)
+    .all();
+  return res?.results || [];
+}
+
+/**
+ * Append an admin request to the audit log
+ * @param {D1Database} db - D1 database binding
+ * @param {object} entry - { method, path, query, status, authMethod, sessionId, clientIp, userAgent }
+ */
+export async function insertAdminAudit(db, entry) {
+  await db.prepare(`
+    INSERT INTO admin_audit_log (created_at, method, path, query, status, auth_method, session_id, client_ip, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    Math.floor(Date.now() / 1000),
+    entry.method,
+    entry.path,
+    entry.query ?? null,
+    entry.status,
+    entry.authMethod ?? null,
+    entry.sessionId ?? null,
+    entry.clientIp ?? null,
+    entry.userAgent ?? null
+  ).run();
+}
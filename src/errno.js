@@ -0,0 +1,64 @@
+/**
+ * Translation of TeraBox errno values into stable error codes and HTTP statuses
+ */
+
+import { isJsTokenErrno } from './tokens.js';
+
+/**
+ * Known share/list and share/verify errnos. retryable tells clients whether the
+ * same request may succeed later (false means the link itself is the problem
+ * or the caller must change something first).
+ */
+const UPSTREAM_ERRNOS = {
+  [-6]: { status: 401, code: 'login_required', message: 'TeraBox login required, pass valid cookies', retryable: false },
+  [-7]: { status: 410, code: 'share_deleted', message: 'Share link does not exist or was cancelled', retryable: false },
+  [-8]: { status: 410, code: 'share_deleted', message: 'Shared files were deleted', retryable: false },
+  [-9]: { status: 403, code: 'verification_required', message: 'Share requires a valid extraction code (pwd)', retryable: false },
+  [-12]: { status: 403, code: 'verification_required', message: 'Share requires an extraction code (pwd)', retryable: false },
+  [-62]: { status: 403, code: 'verification_required', message: 'Upstream requires captcha verification', retryable: true },
+  // share/list also answers 2 for transient parameter problems (stale jsToken,
+  // cookies, mirror quirks), so it says nothing about the link itself
+  [2]: { status: 502, code: 'invalid_share', message: 'Upstream rejected the share parameters', retryable: true },
+  [105]: { status: 410, code: 'share_deleted', message: 'Share link is invalid or was removed', retryable: false },
+  [112]: { status: 410, code: 'share_expired', message: 'Share link has expired', retryable: false },
+  [115]: { status: 451, code: 'share_blocked', message: 'Share was blocked by TeraBox', retryable: false },
+  [145]: { status: 410, code: 'share_expired', message: 'Share link has expired', retryable: false },
+  [31034]: { status: 429, code: 'rate_limited', message: 'Upstream rate limit hit, retry later', retryable: true }
+};
+
+const TOKEN_ERRNO = {
+  status: 502,
+  code: 'token_invalid',
+  message: 'Upstream rejected the jsToken',
+  retryable: true
+};
+
+const UNKNOWN_ERRNO = {
+  status: 502,
+  code: 'upstream_errno',
+  message: 'Upstream returned an error',
+  retryable: true
+};
+
+/**
+ * Describe an upstream errno as { status, code, message, retryable }
+ */
+export function describeUpstreamErrno(errno) {
+  const value = Number(errno);
+  if (UPSTREAM_ERRNOS[value]) return UPSTREAM_ERRNOS[value];
+  if (isJsTokenErrno(value)) return TOKEN_ERRNO;
+  return UNKNOWN_ERRNO;
+}
+
+/**
+ * Build error fields for an upstream errno, the raw value goes into details
+ */
+export function upstreamErrnoError(errno, extraDetails = {}) {
+  const { status, code, message, retryable } = describeUpstreamErrno(errno);
+  return {
+    status,
+    code,
+    message,
+    details: { errno: Number(errno), retryable, ...extraDetails }
+  };
+}
@@ -1,44 +1,91 @@
 /**
- * Request handlers for different modes: page, api, resolve, stream, segment
+ * Request handlers for different modes: page, api, resolve, batch, stream, playlist, segment,
+ * subtitles, download, thumb, player
  */
 
-import { buildHeaders, extractJsToken, buildApiUrl, badRequest, jsonUpstream, errorJson } from './utils.js';
+import {
+  buildHeaders,
+  extractJsToken,
+  buildApiUrl,
+  badRequest,
+  jsonUpstream,
+  errorJson,
+  readSurlParam,
+  isTeraboxHostname,
+  buildVerifyUrl,
+  buildPageUrl,
+  hashSharePassword,
+  sharePasswordKey,
+  getDlinkExpiry
+} from './utils.js';
 import { rewriteM3U8 } from './m3u8.js';
-import { storeUpstreamData, getShareFromDb } from './db.js';
-
-function isTransientStatus(status) {
-  return status === 408 || status === 429 || (status >= 500 && status <= 599);
-}
-
-async function fetchWithTimeout(url, options, timeoutMs = 8000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    return await fetch(url, { ...options, signal: controller.signal });
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
-
-async function fetchWithRetry(url, options, retries = 2, baseDelayMs = 200, timeoutMs = 8000) {
-  let lastErr;
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const res = await fetchWithTimeout(url, options, timeoutMs);
-      if (res.ok || !isTransientStatus(res.status) || attempt === retries) {
-        return res;
-      }
-      lastErr = new Error(`Transient upstream status: ${res.status}`);
-    } catch (err) {
-      lastErr = err;
-      if (attempt === retries) throw err;
-    }
-
-    const delay = baseDelayMs * Math.pow(2, attempt);
-    await new Promise(resolve => setTimeout(resolve, delay));
-  }
-  throw lastErr || new Error('Upstream request failed');
-}
+import { renderPlayerPage } from './player.js';
+import {
+  findSubtitleTracks,
+  isSubtitleFile,
+  toWebVtt,
+  webVttDuration,
+  buildSubtitlePlaylist
+} from './subtitles.js';
+import {
+  getCacheTtl,
+  playlistCacheKey,
+  segmentCacheKey,
+  thumbCacheKey,
+  matchCache,
+  storeInCache
+} from './cache.js';
+import {
+  allowsRawSegmentUrls,
+  createSegmentSigner,
+  verifySegmentToken
+} from './signing.js';
+import {
+  storeUpstreamData,
+  getShareFromDb,
+  getTombstone,
+  saveTombstone,
+  deleteTombstone,
+  insertAccount,
+  setAccountEnabled,
+  getApiKeyById,
+  listApiKeys,
+  insertApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeyUsage
+} from './db.js';
+import {
+  jsTokenCacheKey,
+  getCachedJsToken,
+  cacheJsToken,
+  invalidateJsToken,
+  isJsTokenErrno
+} from './tokens.js';
+import { upstreamErrnoError } from './errno.js';
+import {
+  loadAccounts,
+  invalidateAccounts,
+  reportAccountFailure,
+  checkAccount,
+  publicAccount
+} from './accounts.js';
+import { issueAdminSession } from './adminauth.js';
+import {
+  PUBLIC_MODES,
+  generateApiKey,
+  parseAllowedModes,
+  getRequestApiKeyId,
+  utcDay
+} from './apikeys.js';
+import {
+  fetchWithTimeout,
+  fetchWithRetry,
+  createSubrequestBudget,
+  upstreamUrls,
+  getUpstreamHosts,
+  getCircuitStates
+} from './upstream.js';
 
 function toOptionalNumber(value) {
   if (value === null || value === undefined || value === '') return null;
@@ -46,6 +93,16 @@ function toOptionalNumber(value) {
   return Number.isFinite(num) ? num : null;
 }
 
+/**
+ * Convert a D1 DATETIME (UTC, "YYYY-MM-DD HH:MM:SS") to Unix seconds
+ */
+function toUnixSeconds(datetime) {
+  if (!datetime) return null;
+  const iso = /[zZ]|[+-]\d\d:?\d\d$/.test(datetime) ? datetime : `${String(datetime).replace(' ', 'T')}Z`;
+  const ms = new Date(iso).getTime();
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
 function buildResolvedRecord(surl, share, file, storedAt) {
   if (!share || !file) return null;
 
@@ -58,30 +115,150 @@ function buildResolvedRecord(surl, share, file, storedAt) {
     thumb: file.thumbs?.url3 || file.thumbs?.url2 || file.thumbs?.url1 || null,
     uk: share.uk || null,
     shareid: share.shareid || share.share_id || null,
+    protected: Number(share.is_protected) === 1,
     fid: file.fs_id || null,
+    expires_at: getDlinkExpiry(file.dlink),
     stored_at: storedAt ?? null,
+    // Rows are only written by a live fetch, so storing is verifying
     last_verified: storedAt ?? null
   };
 }
 
-function buildResolvedRecordFromDb(surl, shareData) {
-  const file = shareData?.list?.[0];
-  const storedAt = shareData?.updated_at
-    ? Math.floor(new Date(shareData.updated_at).getTime() / 1000)
-    : null;
+const DEFAULT_DLINK_REFRESH_MARGIN = 600;
+
+function getDlinkRefreshMargin(env) {
+  const margin = Number.parseInt(env.DLINK_REFRESH_MARGIN, 10);
+  return Number.isNaN(margin) || margin < 0 ? DEFAULT_DLINK_REFRESH_MARGIN : margin;
+}
+
+/**
+ * Whether a dlink expiry is past or within the refresh margin. Unknown expiry
+ * (no dlink) never counts as expiring since a refetch would not add one.
+ */
+function isDlinkExpiring(expiresAt, env) {
+  if (!expiresAt) return false;
+  return expiresAt - getDlinkRefreshMargin(env) <= Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Earliest dlink expiry across a file list, null when no file has a dlink
+ */
+function earliestDlinkExpiry(list) {
+  const expiries = (list || []).map(file => getDlinkExpiry(file.dlink)).filter(Boolean);
+  return expiries.length ? Math.min(...expiries) : null;
+}
+
+function isDirectory(file) {
+  return String(file?.isdir) === '1';
+}
+
+/**
+ * Pick the file a resolved record describes: the first non-directory entry,
+ * falling back to the first entry for shares that only hold folders
+ */
+function pickDefaultFile(list) {
+  if (!Array.isArray(list) || list.length === 0) return null;
+  return list.find(file => !isDirectory(file)) || list[0];
+}
+
+/**
+ * Build a nested folder tree from a flat list linked through parent_fs_id
+ */
+function buildFileTree(list) {
+  const nodes = new Map();
+  const roots = [];
+
+  (list || []).forEach((file) => {
+    const node = isDirectory(file) ? { ...file, children: [] } : { ...file };
+    nodes.set(String(file.fs_id), node);
+  });
+
+  nodes.forEach((node) => {
+    const parent = node.parent_fs_id ? nodes.get(String(node.parent_fs_id)) : null;
+    if (parent?.children) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  return roots;
+}
+
+function getFileSelector(params) {
+  const fid = params.get('fid');
+  const index = params.get('index');
+  return {
+    fid: fid || null,
+    index: index === null || index === '' ? null : index
+  };
+}
+
+function hasFileSelector(selector) {
+  return !!(selector?.fid || selector?.index !== null && selector?.index !== undefined);
+}
+
+function isValidFileIndex(index) {
+  return index === null || index === undefined || /^\d+$/.test(index);
+}
+
+/**
+ * Select a file by fid, or by index among the non-directory entries in list
+ * order. Without a selector the default file is returned.
+ */
+function selectFile(list, selector = {}) {
+  if (!Array.isArray(list)) return null;
+
+  if (selector.fid) {
+    return list.find(file => String(file.fs_id) === String(selector.fid)) || null;
+  }
+
+  if (selector.index !== null && selector.index !== undefined) {
+    const files = list.filter(file => !isDirectory(file));
+    return files[Number.parseInt(selector.index, 10)] || null;
+  }
+
+  return pickDefaultFile(list);
+}
+
+/**
+ * Compact listing of every entry in a share, indexes match the index= parameter
+ */
+function buildFileSummaries(list) {
+  let fileIndex = 0;
+  return (list || []).map((file) => {
+    const dir = isDirectory(file);
+    return {
+      index: dir ? null : fileIndex++,
+      fid: file.fs_id?.toString() || null,
+      name: file.server_filename || null,
+      size: toOptionalNumber(file.size),
+      isdir: dir,
+      path: file.path || null,
+      parent_fid: file.parent_fs_id?.toString() || null
+    };
+  });
+}
+
+function fileNotFound(surl, selector) {
+  return errorJson(404, 'File not found in share', 'file_not_found', {
+    surl,
+    ...(selector.fid ? { fid: selector.fid } : { index: Number(selector.index) })
+  });
+}
 
-  return buildResolvedRecord(surl, shareData, file, storedAt);
+function buildResolvedRecordFromDb(surl, shareData, selector) {
+  const file = selectFile(shareData?.list, selector);
+  return buildResolvedRecord(surl, shareData, file, toUnixSeconds(shareData?.updated_at));
 }
 
-function buildResolvedRecordFromUpstream(surl, upstream) {
-  const file = upstream?.list?.[0];
+function buildResolvedRecordFromUpstream(surl, upstream, selector) {
+  const file = selectFile(upstream?.list, selector);
   const now = Math.floor(Date.now() / 1000);
 
   return buildResolvedRecord(
     surl,
     {
       uk: upstream?.uk,
-      shareid: upstream?.shareid || upstream?.share_id || null
+      shareid: upstream?.shareid || upstream?.share_id || null,
+      is_protected: upstream?.is_protected
     },
     file,
     now
@@ -91,19 +268,19 @@ function buildResolvedRecordFromUpstream(surl, upstream) {
 /**
  * Handle page mode - fetches the share page
  */
-export async function handlePage(request, params) {
-  const surl = params.get('surl');
-  if (!surl) return badRequest('Missing surl');
+export async function handlePage(request, params, env) {
+  const { surl, error } = readSurlParam(params);
+  if (error) return error;
+  if (!surl) return badRequest('Missing surl or url', ['surl', 'url']);
 
-  const url = new URL('https://www.terabox.app/sharing/link');
-  url.searchParams.set('surl', surl);
+  const urls = upstreamUrls(env, 'page', host => buildPageUrl(host, surl));
 
   let res;
   try {
-    res = await fetchWithTimeout(url, {
+    res = await fetchWithRetry(urls, {
       headers: buildHeaders(request, { Accept: 'text/html' }),
       redirect: 'follow'
-    }, 8000);
+    }, urls.length - 1, 200, 8000);
   } catch (err) {
     const isAbort = err?.name === 'AbortError';
     return errorJson(504, 'Upstream page request timed out', 'upstream_timeout', {
@@ -120,22 +297,22 @@ export async function handlePage(request, params) {
 /**
  * Handle api mode - manual API call with jsToken and shorturl
  */
-export async function handleApi(request, params) {
+export async function handleApi(request, params, env) {
   const jsToken = params.get('jsToken');
   const shorturl = params.get('shorturl');
   if (!jsToken || !shorturl)
     return badRequest('Missing jsToken or shorturl', ['jsToken', 'shorturl']);
 
-  const apiUrl = buildApiUrl(jsToken, shorturl, '1');
+  const apiUrls = upstreamUrls(env, 'api', host => buildApiUrl(jsToken, shorturl, '1', { host }));
 
   let res;
   try {
-    res = await fetchWithTimeout(apiUrl, {
+    res = await fetchWithRetry(apiUrls, {
       headers: buildHeaders(request, {
         Accept: 'application/json',
         Referer: 'https://terabox.com/'
       })
-    }, 8000);
+    }, apiUrls.length - 1, 200, 8000);
   } catch (err) {
     const isAbort = err?.name === 'AbortError';
     return errorJson(504, 'Upstream API request timed out', 'upstream_timeout', {
@@ -146,390 +323,1793 @@ export async function handleApi(request, params) {
   return jsonUpstream(res, 'Upstream API request failed');
 }
 
+const DEFAULT_TRAVERSAL_DEPTH = 3;
+const MAX_TRAVERSAL_DEPTH = 10;
+const DEFAULT_TRAVERSAL_ITEMS = 500;
+const MAX_TRAVERSAL_ITEMS = 2000;
+const MAX_DIRECTORY_LISTINGS = 40;
+// Upstream fetches one resolve may make across page, verify, list and folder
+// calls (retries and mirror failover included); Workers allow 50 per request
+const DEFAULT_RESOLVE_SUBREQUEST_BUDGET = 45;
+
+function parseNonNegativeInt(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  if (Number.isNaN(n) || n < 0) return fallback;
+  return n;
+}
+
+function getTraversalOptions(params) {
+  return {
+    maxDepth: Math.min(
+      parseNonNegativeInt(params.get('depth'), DEFAULT_TRAVERSAL_DEPTH),
+      MAX_TRAVERSAL_DEPTH
+    ),
+    maxItems: clamp(
+      parseNonNegativeInt(params.get('max_items'), DEFAULT_TRAVERSAL_ITEMS),
+      1,
+      MAX_TRAVERSAL_ITEMS
+    )
+  };
+}
+
 /**
- * Handle resolve mode - extract metadata and cache in D1 when available
+ * Walk subdirectories breadth-first, returning a flat list where every nested
+ * entry carries the fs_id of its folder in parent_fs_id
  */
-export async function handleResolve(request, params, env) {
-  const surl = params.get('surl');
-  const refresh = params.get('refresh') === '1';
-  const raw = params.get('raw') === '1';
+async function expandShareDirectories(rootList, listDirectory, { maxDepth, maxItems, budget }) {
+  const items = rootList.slice(0, maxItems).map(file => ({ ...file, parent_fs_id: null }));
+  let truncated = items.length < rootList.length;
+  let listings = 0;
 
-  if (!surl) return badRequest('Missing surl');
+  const queue = items.filter(isDirectory).map(dir => ({ dir, depth: 1 }));
 
-  if (!refresh && env.sharedfile) {
+  while (queue.length > 0) {
+    const { dir, depth } = queue.shift();
+
+    if (depth > maxDepth || items.length >= maxItems || listings >= MAX_DIRECTORY_LISTINGS || budget?.remaining <= 0) {
+      truncated = true;
+      continue;
+    }
+
+    let children;
     try {
-      const d1Data = await getShareFromDb(env.sharedfile, surl);
-      if (d1Data) {
-        const responseData = raw ? d1Data : buildResolvedRecordFromDb(surl, d1Data);
-        const hasDlink = raw
-          ? d1Data.list?.some(f => f.dlink) || false
-          : !!responseData?.dlink;
+      listings++;
+      children = await listDirectory(dir.path);
+    } catch (err) {
+      console.error('Directory listing error:', dir.path, err);
+      truncated = true;
+      continue;
+    }
 
-        if (responseData) {
-          return Response.json({
-            source: 'd1',
-            ...(!hasDlink && { note: 'dlink requires valid TeraBox cookies to download' }),
-            data: responseData
-          });
-        }
+    for (const child of children) {
+      if (items.length >= maxItems) {
+        truncated = true;
+        break;
       }
-    } catch (err) {
-      console.error('D1 cache check error:', err);
+      const entry = { ...child, parent_fs_id: String(dir.fs_id) };
+      items.push(entry);
+      if (isDirectory(entry)) queue.push({ dir: entry, depth: depth + 1 });
     }
   }
 
-  // Fetch fresh from upstream
-  const apiHeaders = buildHeaders(request, {
-    Accept: 'application/json',
-    Referer: 'https://terabox.com/'
-  });
+  return { list: items, truncated, listings };
+}
 
-  async function fetchApiWithToken(jsToken) {
-    const apiUrl = buildApiUrl(jsToken, surl, '1');
-    return fetchWithRetry(apiUrl, { headers: apiHeaders }, 2, 200, 8000);
-  }
+function upstreamFailure(status, message, code, details) {
+  return { failure: { status, message, code, details } };
+}
 
-  const pageUrl = new URL('https://www.terabox.app/sharing/link');
-  pageUrl.searchParams.set('surl', surl);
+function budgetExhaustedFailure() {
+  return upstreamFailure(503, 'Upstream subrequest budget for this request is used up', 'subrequest_budget_exhausted', {
+    retryable: true
+  });
+}
 
-  let pageRes;
-  try {
-    pageRes = await fetchWithRetry(pageUrl.toString(), {
-      headers: buildHeaders(request, { Accept: 'text/html' }),
-      redirect: 'follow'
-    }, 2, 200, 8000);
-  } catch (err) {
-    const isAbort = err?.name === 'AbortError';
-    return errorJson(
-      isAbort ? 504 : 502,
-      isAbort ? 'Upstream page request timed out' : 'Upstream page request failed',
-      isAbort ? 'upstream_timeout' : 'upstream_error',
-      err?.message || (isAbort ? 'timeout' : 'network_error')
-    );
-  }
+function getResolveSubrequestBudget(env) {
+  return createSubrequestBudget(
+    parsePositiveInt(env.RESOLVE_SUBREQUEST_BUDGET, DEFAULT_RESOLVE_SUBREQUEST_BUDGET)
+  );
+}
 
-  if (!pageRes.ok) {
-    return errorJson(502, 'Upstream page request failed', 'upstream_error', {
-      status: pageRes.status
-    });
-  }
+function failureResponse(failure) {
+  return errorJson(failure.status, failure.message, failure.code, failure.details);
+}
 
-  const html = await pageRes.text();
-  const jsToken = extractJsToken(html);
+function errnoFailure(errno, extraDetails) {
+  return { failure: upstreamErrnoError(errno, extraDetails) };
+}
 
-  if (!jsToken) {
-    return errorJson(403, 'Failed to extract jsToken', 'token_extract_failed');
-  }
+function fetchFailure(err, label) {
+  if (err?.name === 'SubrequestBudgetError') return budgetExhaustedFailure();
+  const isAbort = err?.name === 'AbortError';
+  return upstreamFailure(
+    isAbort ? 504 : 502,
+    isAbort ? `Upstream ${label} request timed out` : `Upstream ${label} request failed`,
+    isAbort ? 'upstream_timeout' : 'upstream_error',
+    err?.message || (isAbort ? 'timeout' : 'network_error')
+  );
+}
 
-  let apiRes;
+/**
+ * Run the extraction code verify step. Returns { sekey } for share/list or { failure }.
+ */
+async function verifySharePassword(request, env, surl, jsToken, pwd, budget) {
+  let res;
   try {
-    apiRes = await fetchApiWithToken(jsToken);
+    res = await fetchWithRetry(upstreamUrls(env, 'page', host => buildVerifyUrl(jsToken, surl, { host })), {
+      method: 'POST',
+      headers: buildHeaders(request, {
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Referer: `https://www.terabox.app/sharing/link?surl=${encodeURIComponent(surl)}`
+      }),
+      body: new URLSearchParams({ pwd, vcode: '', vcode_str: '' }).toString()
+    }, 1, 200, 8000, budget);
   } catch (err) {
-    const isAbort = err?.name === 'AbortError';
-    return errorJson(
-      isAbort ? 504 : 502,
-      isAbort ? 'Upstream API request timed out' : 'Upstream API request failed',
-      isAbort ? 'upstream_timeout' : 'upstream_error',
-      err?.message || (isAbort ? 'timeout' : 'network_error')
-    );
+    return fetchFailure(err, 'verify');
   }
 
-  if (!apiRes.ok) {
-    return errorJson(502, 'Upstream API request failed', 'upstream_error', {
-      status: apiRes.status
+  if (!res.ok) {
+    return upstreamFailure(502, 'Upstream verify request failed', 'upstream_error', {
+      status: res.status
     });
   }
 
-  let upstream;
+  let body;
   try {
-    upstream = await apiRes.json();
+    body = await res.json();
   } catch {
-    return errorJson(502, 'Upstream returned non-JSON', 'upstream_non_json', {
-      status: apiRes.status
+    return upstreamFailure(502, 'Upstream returned non-JSON', 'upstream_non_json', {
+      status: res.status
     });
   }
-  if (!upstream?.list?.length) {
-    return errorJson(502, 'Empty share list from upstream', 'upstream_empty');
-  }
-
-  // Store complete data in D1 for persistence when configured.
-  try {
-    if (env.sharedfile) {
-      await storeUpstreamData(env.sharedfile, surl, upstream);
-    }
-  } catch (err) {
-    console.error('D1 storage error:', err);
-  }
 
-  if (raw) {
-    const hasDlink = upstream.list?.some(f => f.dlink) || false;
-    return Response.json({
-      source: 'live',
-      ...(!hasDlink && { note: 'dlink requires valid TeraBox cookies to download' }),
-      upstream
+  // -9 and -12 from the verify step mean the extraction code itself was rejected
+  if (body?.errno === -9 || body?.errno === -12 || (body?.errno === 0 && !body?.randsk)) {
+    return upstreamFailure(403, 'Share password verification failed', 'invalid_password', {
+      errno: body?.errno ?? null,
+      retryable: false
     });
   }
+  if (body?.errno !== 0) {
+    return errnoFailure(body?.errno, { step: 'verify' });
+  }
 
-  const record = buildResolvedRecordFromUpstream(surl, upstream);
-  return Response.json({
-    source: 'live',
-    ...(!record?.dlink && { note: 'dlink requires valid TeraBox cookies to download' }),
-    data: record
+  return { sekey: decodeURIComponent(body.randsk) };
+}
+
+/**
+ * Cached rows of a protected share are only served to callers that send the
+ * extraction code it was resolved with.
+ */
+async function canServeCachedShare(env, share, surl, pwd) {
+  if (Number(share?.is_protected) !== 1) return true;
+  if (!pwd || !share.pwd_hash) return false;
+  return share.pwd_hash === await hashSharePassword(env, surl, pwd);
+}
+
+function passwordRequired(surl) {
+  return errorJson(403, 'Share is password protected, pass its extraction code in pwd', 'password_required', {
+    surl
   });
 }
 
-function hasStreamMetadata(record) {
-  return !!(record?.uk && record?.shareid && record?.fid && record?.dlink);
+function withoutPasswordHash(share) {
+  if (!share) return share;
+  const { pwd_hash, ...rest } = share;
+  return rest;
 }
 
-function getStreamAuthFromDlink(dlink) {
-  if (!dlink) return null;
+/**
+ * Fetch a share from upstream, including its folder tree, and store it in D1.
+ * `options.budget` lets several resolves in one invocation (a batch) share one
+ * subrequest budget; otherwise the resolve gets its own.
+ * Returns { upstream, traversal } on success or { failure } describing the error.
+ */
+async function fetchUpstreamShare(request, env, surl, options) {
+  const budget = options.budget || getResolveSubrequestBudget(env);
+  if (budget.remaining <= 0) return budgetExhaustedFailure();
 
-  try {
-    const url = new URL(dlink);
-    const sign = url.searchParams.get('sign');
-    const timestamp = url.searchParams.get('dstime') || url.searchParams.get('timestamp');
-    const logid = url.searchParams.get('dp-logid');
+  const tokenKey = await jsTokenCacheKey(request);
+  const apiHeaders = buildHeaders(request, {
+    Accept: 'application/json',
+    Referer: 'https://terabox.com/'
+  });
 
-    if (!sign || !timestamp) {
-      return null;
+  async function fetchPageToken() {
+    let pageRes;
+    try {
+      pageRes = await fetchWithRetry(upstreamUrls(env, 'page', host => buildPageUrl(host, surl)), {
+        headers: buildHeaders(request, { Accept: 'text/html' }),
+        redirect: 'follow'
+      }, 2, 200, 8000, budget);
+    } catch (err) {
+      return fetchFailure(err, 'page');
     }
 
-    return { sign, timestamp, logid };
-  } catch {
-    return null;
+    if (!pageRes.ok) {
+      return upstreamFailure(502, 'Upstream page request failed', 'upstream_error', {
+        status: pageRes.status
+      });
+    }
+
+    const jsToken = extractJsToken(await pageRes.text());
+    if (!jsToken) {
+      return upstreamFailure(403, 'Failed to extract jsToken', 'token_extract_failed');
+    }
+
+    await cacheJsToken(env, tokenKey, jsToken);
+    return { jsToken };
   }
-}
 
-/**
- * Handle stream mode - returns M3U8 playlist using cached metadata
- */
-export async function handleStream(request, params, env) {
-  const surl = params.get('surl');
-  const type = params.get('type') || 'M3U8_AUTO_360';
+  async function listShareRoot(jsToken) {
+    const open = await listRoot(jsToken);
+    if (open.failure || !options.pwd) return open;
 
-  if (!surl) {
-    return badRequest('Missing surl', ['surl']);
+    // Only a share the upstream reports as locked is verified, so a pwd sent
+    // for an open share never marks it protected
+    const errno = Number(open.upstream?.errno);
+    if (errno !== -9 && errno !== -12) return open;
+
+    const verified = await verifySharePassword(request, env, surl, jsToken, options.pwd, budget);
+    if (verified.failure) return verified;
+    return listRoot(jsToken, verified.sekey);
   }
 
-  let record = null;
-  if (env.sharedfile) {
+  async function listRoot(jsToken, sekey) {
+    let apiRes;
     try {
-      const cachedShare = await getShareFromDb(env.sharedfile, surl);
-      if (cachedShare) {
-        record = buildResolvedRecordFromDb(surl, cachedShare);
-      }
+      apiRes = await fetchWithRetry(
+        upstreamUrls(env, 'api', host => buildApiUrl(jsToken, surl, '1', { sekey, host })),
+        { headers: apiHeaders },
+        2, 200, 8000, budget
+      );
     } catch (err) {
-      console.error('D1 stream cache check error:', err);
+      return fetchFailure(err, 'API');
     }
-  }
 
-  if (!hasStreamMetadata(record)) {
-    const resolveParams = new URLSearchParams(params);
-    resolveParams.delete('raw');
-    resolveParams.set('refresh', '1');
-
-    const resolveRes = await handleResolve(request, resolveParams, env);
-    if (!resolveRes.ok) {
-      return resolveRes;
+    if (!apiRes.ok) {
+      return upstreamFailure(502, 'Upstream API request failed', 'upstream_error', {
+        status: apiRes.status
+      });
     }
 
     try {
-      const resolvedBody = await resolveRes.json();
-      record = resolvedBody?.data || null;
+      return { upstream: await apiRes.json(), sekey };
     } catch {
-      record = null;
+      return upstreamFailure(502, 'Upstream returned non-JSON', 'upstream_non_json', {
+        status: apiRes.status
+      });
     }
+  }
 
-    if (!hasStreamMetadata(record)) {
-      return errorJson(500, 'Incomplete stream metadata', 'incomplete_metadata');
-    }
+  let jsToken = await getCachedJsToken(env, tokenKey);
+  const fromCache = !!jsToken;
+  if (!jsToken) {
+    const fetched = await fetchPageToken();
+    if (fetched.failure) return fetched;
+    jsToken = fetched.jsToken;
   }
 
-  const { uk, shareid, fid, dlink } = record;
-  if (!uk || !shareid || !fid || !dlink) {
-    return errorJson(500, 'Incomplete stream metadata', 'incomplete_metadata');
+  let root = await listShareRoot(jsToken);
+
+  // A cached token the upstream no longer accepts is dropped and re-extracted once
+  const rootErrno = root.failure ? root.failure.details?.errno : root.upstream?.errno;
+  if (fromCache && isJsTokenErrno(rootErrno)) {
+    await invalidateJsToken(env, tokenKey);
+    const fetched = await fetchPageToken();
+    if (fetched.failure) return fetched;
+    jsToken = fetched.jsToken;
+    root = await listShareRoot(jsToken);
   }
 
-  const streamAuth = getStreamAuthFromDlink(dlink);
-  if (!streamAuth) {
-    return errorJson(
-      502,
-      'Missing signed stream parameters in dlink',
-      'stream_auth_missing'
+  if (root.failure) return root;
+
+  const { sekey } = root;
+  let { upstream } = root;
+
+  if (upstream?.errno !== undefined && Number(upstream.errno) !== 0) {
+    return errnoFailure(upstream.errno);
+  }
+  if (!upstream?.list?.length) {
+    return upstreamFailure(502, 'Empty share list from upstream', 'upstream_empty');
+  }
+
+  async function listDirectory(dir) {
+    const res = await fetchWithRetry(
+      upstreamUrls(env, 'api', host => buildApiUrl(jsToken, surl, '0', { dir, sekey, host })),
+      { headers: apiHeaders },
+      1, 200, 8000, budget
     );
+    if (!res.ok) throw new Error(`Directory listing failed: ${res.status}`);
+    const body = await res.json();
+    if (body?.errno) throw new Error(`Directory listing errno: ${body.errno}`);
+    return Array.isArray(body?.list) ? body.list : [];
   }
 
-  /* Build streaming URL using signed dlink params */
-  const streamUrl = new URL('https://dm.1024tera.com/share/streaming');
+  const expanded = await expandShareDirectories(upstream.list, listDirectory, { ...options, budget });
+  upstream = { ...upstream, list: expanded.list, is_protected: sekey ? 1 : 0 };
 
-  streamUrl.searchParams.set('uk', uk);
-  streamUrl.searchParams.set('shareid', shareid);
-  streamUrl.searchParams.set('fid', fid);
-  streamUrl.searchParams.set('type', type);
-  streamUrl.searchParams.set('clienttype', '0');
-  streamUrl.searchParams.set('app_id', '250528');
-  streamUrl.searchParams.set('web', '1');
-  streamUrl.searchParams.set('channel', 'dubox');
-  streamUrl.searchParams.set('timestamp', streamAuth.timestamp);
-  streamUrl.searchParams.set('sign', streamAuth.sign);
-  if (streamAuth.logid) {
-    streamUrl.searchParams.set('dp-logid', streamAuth.logid);
+  // Store complete data in D1 for persistence when configured.
+  try {
+    if (env.sharedfile) {
+      const pwdHash = sekey ? await hashSharePassword(env, surl, options.pwd) : null;
+      // A truncated walk did not see every file, so nothing is pruned
+      await storeUpstreamData(env.sharedfile, surl, upstream, { pwdHash, prune: !expanded.truncated });
+    }
+  } catch (err) {
+    console.error('D1 storage error:', err);
+  }
+
+  return {
+    upstream,
+    traversal: {
+      depth: options.maxDepth,
+      items: expanded.list.length,
+      listings: expanded.listings,
+      truncated: expanded.truncated
+    }
+  };
+}
+
+const DEFAULT_TOMBSTONE_TTL = 86400;
+
+// Failures that will not go away by retrying the same share
+const TOMBSTONE_CODES = new Set(['share_deleted', 'share_expired', 'share_blocked']);
+
+function getTombstoneTtl(env) {
+  const ttl = Number.parseInt(env.TOMBSTONE_TTL, 10);
+  return Number.isNaN(ttl) || ttl < 0 ? DEFAULT_TOMBSTONE_TTL : ttl;
+}
+
+function isPermanentFailure(failure) {
+  return TOMBSTONE_CODES.has(failure?.code) && failure?.details?.retryable === false;
+}
+
+/**
+ * Fetch a share live and keep its tombstone in sync: permanent failures are
+ * recorded, a successful fetch clears any previous tombstone.
+ * Exported for the ResolveCoordinator Durable Object.
+ */
+export async function fetchLiveShare(request, env, surl, options) {
+  const result = await fetchUpstreamShare(request, env, surl, options);
+  const ttl = getTombstoneTtl(env);
+
+  if (result.failure?.code === 'login_required') {
+    await reportAccountFailure(env, request.headers.get('Cookie'), result.failure.code);
+  }
+
+  if (env.sharedfile && ttl > 0) {
+    try {
+      if (result.failure && isPermanentFailure(result.failure)) {
+        await saveTombstone(env.sharedfile, surl, result.failure, ttl);
+      } else if (!result.failure) {
+        await deleteTombstone(env.sharedfile, surl);
+      }
+    } catch (err) {
+      console.error('D1 tombstone error:', err);
+    }
+  }
+
+  return result;
+}
+
+// Live fetches in progress in this isolate, keyed by coalesceKey()
+const inflightShares = new Map();
+
+/**
+ * Requests that would produce the same upstream result share one flight:
+ * same share, traversal limits, extraction code and caller session
+ */
+async function coalesceKey(request, surl, options) {
+  const pwdKey = options.pwd ? await sharePasswordKey(surl, options.pwd) : '';
+  return [
+    surl,
+    options.maxDepth,
+    options.maxItems,
+    pwdKey,
+    await jsTokenCacheKey(request)
+  ].join('|');
+}
+
+async function fetchLiveShareViaCoordinator(request, env, surl, options) {
+  // The object fetches under its own limit; only the call to it is charged here
+  const { budget, ...shared } = options;
+  if (budget) {
+    if (budget.remaining <= 0) return budgetExhaustedFailure();
+    budget.remaining--;
+  }
+  const stub = env.RESOLVE_COORDINATOR.get(env.RESOLVE_COORDINATOR.idFromName(surl));
+  const cookie = request.headers.get('Cookie');
+  const res = await stub.fetch('https://coordinator/resolve', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ surl, options: shared, cookie })
+  });
+  if (!res.ok) throw new Error(`Coordinator returned ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Single-flight wrapper around fetchLiveShare. Concurrent identical resolves in
+ * an isolate wait on one upstream round trip; with the RESOLVE_COORDINATOR
+ * Durable Object bound, the flight is shared across isolates as well.
+ */
+async function fetchLiveShareOnce(request, env, surl, options) {
+  const key = await coalesceKey(request, surl, options);
+  if (inflightShares.has(key)) {
+    return inflightShares.get(key);
+  }
+
+  const flight = (async () => {
+    if (env.RESOLVE_COORDINATOR) {
+      try {
+        return await fetchLiveShareViaCoordinator(request, env, surl, options);
+      } catch (err) {
+        console.error('Resolve coordinator error, fetching locally:', err);
+      }
+    }
+    return fetchLiveShare(request, env, surl, options);
+  })();
+
+  inflightShares.set(key, flight);
+  try {
+    return await flight;
+  } finally {
+    inflightShares.delete(key);
+  }
+}
+
+/**
+ * Fast error for a share with an active tombstone, or null
+ */
+async function tombstoneResponse(env, surl) {
+  if (!env.sharedfile || getTombstoneTtl(env) === 0) return null;
+
+  try {
+    const tombstone = await getTombstone(env.sharedfile, surl);
+    if (!tombstone) return null;
+
+    return errorJson(tombstone.status || 410, tombstone.reason || 'Share is unavailable', tombstone.code, {
+      errno: tombstone.errno,
+      retryable: false,
+      cached: true,
+      tombstoned_at: tombstone.created_at,
+      expires_at: tombstone.expires_at
+    });
+  } catch (err) {
+    console.error('D1 tombstone check error:', err);
+    return null;
+  }
+}
+
+const DEFAULT_RESOLVE_SOFT_TTL = 3600;
+const DEFAULT_RESOLVE_HARD_TTL = 86400;
+
+function getResolveTtls(env) {
+  const soft = Number.parseInt(env.RESOLVE_SOFT_TTL, 10);
+  const hard = Number.parseInt(env.RESOLVE_HARD_TTL, 10);
+  const softTtl = Number.isNaN(soft) || soft < 0 ? DEFAULT_RESOLVE_SOFT_TTL : soft;
+  const hardTtl = Number.isNaN(hard) || hard < 0 ? DEFAULT_RESOLVE_HARD_TTL : hard;
+  return { softTtl, hardTtl: Math.max(hardTtl, softTtl) };
+}
+
+/**
+ * Freshness of a cached share by the time it was last verified upstream:
+ * fresh below the soft age, stale (served, refreshed in the background) below
+ * the hard age, expired (blocking refetch) beyond it
+ */
+function getCacheFreshness(share, env) {
+  const lastChecked = toUnixSeconds(share?.updated_at);
+  if (!lastChecked) return { state: 'expired', lastChecked: null };
+
+  const age = Math.floor(Date.now() / 1000) - lastChecked;
+  const { softTtl, hardTtl } = getResolveTtls(env);
+  if (age >= hardTtl) return { state: 'expired', lastChecked };
+  if (age >= softTtl) return { state: 'stale', lastChecked };
+  return { state: 'fresh', lastChecked };
+}
+
+/**
+ * Handle resolve mode - extract metadata and cache in D1 when available.
+ * Stale D1 records are served immediately and refreshed through ctx.waitUntil.
+ * Batch resolve passes its shared subrequest `budget`.
+ */
+export async function handleResolve(request, params, env, ctx, { budget } = {}) {
+  const { surl, error } = readSurlParam(params);
+  const refresh = params.get('refresh') === '1';
+  const raw = params.get('raw') === '1';
+  const pwd = params.get('pwd')?.trim() || null;
+  const selector = getFileSelector(params);
+
+  if (error) return error;
+  if (!surl) return badRequest('Missing surl or url', ['surl', 'url']);
+  if (!isValidFileIndex(selector.index)) {
+    return errorJson(400, 'Invalid index, expected a non-negative integer', 'invalid_index');
+  }
+
+  if (!refresh && env.sharedfile) {
+    try {
+      const cached = await getShareFromDb(env.sharedfile, surl);
+      const freshness = getCacheFreshness(cached, env);
+      // Shares past the hard age or whose signed dlinks are about to expire are refetched
+      if (
+        cached
+        && freshness.state !== 'expired'
+        && await canServeCachedShare(env, cached, surl, pwd)
+        && !isDlinkExpiring(earliestDlinkExpiry(cached.list), env)
+      ) {
+        const d1Data = withoutPasswordHash(cached);
+        const responseData = raw ? d1Data : buildResolvedRecordFromDb(surl, d1Data, selector);
+        const hasDlink = raw
+          ? d1Data.list?.some(f => f.dlink) || false
+          : !!responseData?.dlink;
+
+        if (responseData) {
+          const stale = freshness.state === 'stale';
+          if (stale && ctx?.waitUntil) {
+            ctx.waitUntil(
+              fetchLiveShareOnce(request, env, surl, { ...getTraversalOptions(params), pwd, budget })
+                .catch(err => console.error('Background refresh error:', err))
+            );
+          }
+
+          return Response.json({
+            source: 'd1',
+            stale,
+            last_checked: freshness.lastChecked,
+            ...(!hasDlink && { note: 'dlink requires valid TeraBox cookies to download' }),
+            data: responseData,
+            ...(raw
+              ? { tree: buildFileTree(d1Data.list) }
+              : { files: buildFileSummaries(d1Data.list) })
+          });
+        }
+      }
+    } catch (err) {
+      console.error('D1 cache check error:', err);
+    }
+
+    const tombstoned = await tombstoneResponse(env, surl);
+    if (tombstoned) return tombstoned;
+  }
+
+  const result = await fetchLiveShareOnce(request, env, surl, {
+    ...getTraversalOptions(params),
+    pwd,
+    budget
+  });
+  if (result.failure) {
+    return failureResponse(result.failure);
+  }
+
+  const { upstream, traversal } = result;
+
+  if (raw) {
+    const hasDlink = upstream.list?.some(f => f.dlink) || false;
+    return Response.json({
+      source: 'live',
+      stale: false,
+      last_checked: Math.floor(Date.now() / 1000),
+      ...(!hasDlink && { note: 'dlink requires valid TeraBox cookies to download' }),
+      upstream,
+      tree: buildFileTree(upstream.list),
+      traversal
+    });
+  }
+
+  const record = buildResolvedRecordFromUpstream(surl, upstream, selector);
+  if (!record && hasFileSelector(selector)) {
+    return fileNotFound(surl, selector);
+  }
+
+  return Response.json({
+    source: 'live',
+    stale: false,
+    last_checked: record?.last_verified ?? Math.floor(Date.now() / 1000),
+    ...(!record?.dlink && { note: 'dlink requires valid TeraBox cookies to download' }),
+    data: record,
+    files: buildFileSummaries(upstream.list)
+  });
+}
+
+const MAX_BATCH_ITEMS = 50;
+const DEFAULT_BATCH_CONCURRENCY = 4;
+const MAX_BATCH_CONCURRENCY = 8;
+
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      await worker(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Normalize one batch entry (a surl string or { surl, fid, index }) into resolve params
+ */
+function toBatchResolveParams(item, refresh) {
+  const entry = typeof item === 'string' ? { surl: item } : item;
+  if (!entry || typeof entry !== 'object' || typeof entry.surl !== 'string' || !entry.surl.trim()) {
+    return null;
+  }
+
+  const resolveParams = new URLSearchParams({ surl: entry.surl.trim() });
+  if (entry.fid !== undefined && entry.fid !== null) resolveParams.set('fid', String(entry.fid));
+  if (entry.index !== undefined && entry.index !== null) resolveParams.set('index', String(entry.index));
+  if (refresh || entry.refresh) resolveParams.set('refresh', '1');
+  return resolveParams;
+}
+
+async function resolveBatchItem(request, env, ctx, item, position, refresh, budget) {
+  const resolveParams = toBatchResolveParams(item, refresh);
+  if (!resolveParams) {
+    return {
+      index: position,
+      surl: null,
+      ok: false,
+      status: 400,
+      error: 'Batch entry must be a surl string or an object with surl',
+      code: 'bad_request'
+    };
+  }
+
+  const surl = resolveParams.get('surl');
+  try {
+    const res = await handleResolve(request, resolveParams, env, ctx, { budget });
+    const body = await res.json();
+
+    if (!res.ok) {
+      return {
+        index: position,
+        surl,
+        ok: false,
+        status: res.status,
+        error: body?.error || 'Resolve failed',
+        code: body?.code || 'error',
+        ...(body?.details !== undefined && { details: body.details })
+      };
+    }
+
+    return { index: position, surl, ok: true, status: res.status, ...body };
+  } catch (err) {
+    return {
+      index: position,
+      surl,
+      ok: false,
+      status: 500,
+      error: err?.message || 'Internal error',
+      code: 'internal_error'
+    };
+  }
+}
+
+/**
+ * Number of entries a batch request will resolve, for rate limits and quotas.
+ * Reads a clone of the body; malformed or oversized batches count once since
+ * they are rejected before resolving anything.
+ */
+export async function countBatchItems(request) {
+  try {
+    const body = await request.clone().json();
+    const items = Array.isArray(body) ? body : body?.surls;
+    return Array.isArray(items) && items.length > 0 && items.length <= MAX_BATCH_ITEMS ? items.length : 1;
+  } catch {
+    return 1;
+  }
+}
+
+/**
+ * Handle batch resolve - resolves many surls from a JSON body with bounded concurrency.
+ * Accepts an array of entries or { surls: [...], refresh }. Results come back in input
+ * order, or as NDJSON lines in completion order when stream=1 / Accept: application/x-ndjson.
+ */
+export async function handleBatchResolve(request, params, env, ctx) {
+  if (request.method !== 'POST') {
+    return errorJson(405, 'Batch resolve requires POST', 'method_not_allowed');
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorJson(400, 'Request body must be valid JSON', 'invalid_json');
+  }
+
+  const items = Array.isArray(body) ? body : body?.surls;
+  if (!Array.isArray(items) || items.length === 0) {
+    return badRequest('Expected a non-empty JSON array of surls', ['surls']);
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return errorJson(400, `Batch is limited to ${MAX_BATCH_ITEMS} entries`, 'batch_too_large', {
+      max: MAX_BATCH_ITEMS,
+      received: items.length
+    });
+  }
+
+  const refresh = params.get('refresh') === '1' || body?.refresh === true;
+  const concurrency = clamp(
+    parsePositiveInt(params.get('concurrency') ?? body?.concurrency, DEFAULT_BATCH_CONCURRENCY),
+    1,
+    MAX_BATCH_CONCURRENCY
+  );
+  const ndjson = params.get('stream') === '1'
+    || (request.headers.get('Accept') || '').includes('application/x-ndjson');
+
+  // All live resolves of the batch run in this invocation, so they share one
+  // subrequest budget; entries past it fail with subrequest_budget_exhausted
+  const budget = getResolveSubrequestBudget(env);
+
+  // Duplicate entries in one batch share a single resolve
+  const inflight = new Map();
+  function resolveItem(item, position) {
+    const key = JSON.stringify(item);
+    if (!inflight.has(key)) {
+      inflight.set(key, resolveBatchItem(request, env, ctx, item, position, refresh, budget));
+    }
+    return inflight.get(key).then(result => ({ ...result, index: position }));
+  }
+
+  if (ndjson) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    const work = (async () => {
+      let succeeded = 0;
+      try {
+        await runWithConcurrency(items, concurrency, async (item, position) => {
+          const result = await resolveItem(item, position);
+          if (result.ok) succeeded++;
+          await writer.write(encoder.encode(JSON.stringify(result) + '\n'));
+        });
+        await writer.write(encoder.encode(JSON.stringify({
+          done: true,
+          total: items.length,
+          succeeded,
+          failed: items.length - succeeded
+        }) + '\n'));
+      } catch (err) {
+        console.error('Batch resolve stream error:', err);
+      } finally {
+        await writer.close().catch(() => {});
+      }
+    })();
+    work.catch(() => {});
+
+    return new Response(readable, {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  const results = new Array(items.length);
+  await runWithConcurrency(items, concurrency, async (item, position) => {
+    results[position] = await resolveItem(item, position);
+  });
+
+  const succeeded = results.filter(r => r.ok).length;
+  return Response.json({
+    total: items.length,
+    succeeded,
+    failed: items.length - succeeded,
+    results
+  });
+}
+
+function hasStreamMetadata(record) {
+  return !!(record?.uk && record?.shareid && record?.fid && record?.dlink);
+}
+
+function getStreamAuthFromDlink(dlink) {
+  if (!dlink) return null;
+
+  try {
+    const url = new URL(dlink);
+    const sign = url.searchParams.get('sign');
+    const timestamp = url.searchParams.get('dstime') || url.searchParams.get('timestamp');
+    const logid = url.searchParams.get('dp-logid');
+
+    if (!sign || !timestamp) {
+      return null;
+    }
+
+    return { sign, timestamp, logid };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the share/streaming URL on a host using the signed dlink params
+ */
+function buildStreamUrl(host, record, type, streamAuth) {
+  const streamUrl = new URL(`https://${host}/share/streaming`);
+
+  streamUrl.searchParams.set('uk', record.uk);
+  streamUrl.searchParams.set('shareid', record.shareid);
+  streamUrl.searchParams.set('fid', record.fid);
+  streamUrl.searchParams.set('type', type);
+  streamUrl.searchParams.set('clienttype', '0');
+  streamUrl.searchParams.set('app_id', '250528');
+  streamUrl.searchParams.set('web', '1');
+  streamUrl.searchParams.set('channel', 'dubox');
+  streamUrl.searchParams.set('timestamp', streamAuth.timestamp);
+  streamUrl.searchParams.set('sign', streamAuth.sign);
+  if (streamAuth.logid) {
+    streamUrl.searchParams.set('dp-logid', streamAuth.logid);
+  }
+
+  return streamUrl.toString();
+}
+
+/**
+ * Load the resolved record of one file, preferring D1 while its dlink is
+ * still usable and resolving live otherwise. Returns { record } or { error }.
+ */
+async function loadShareRecord(request, params, env, ctx, surl, selector, isComplete) {
+  let record = null;
+  if (env.sharedfile) {
+    try {
+      const cachedShare = await getShareFromDb(env.sharedfile, surl);
+      if (cachedShare && await canServeCachedShare(env, cachedShare, surl, params.get('pwd')?.trim())) {
+        record = buildResolvedRecordFromDb(surl, cachedShare, selector);
+        // A stale sign/dstime makes the dlink and share/streaming fail, so resolve again instead
+        if (isDlinkExpiring(record?.expires_at, env)) record = null;
+      }
+    } catch (err) {
+      console.error('D1 record cache check error:', err);
+    }
+  }
+
+  if (isComplete(record)) return { record };
+
+  if (params.get('refresh') !== '1') {
+    const tombstoned = await tombstoneResponse(env, surl);
+    if (tombstoned) return { error: tombstoned };
+  }
+
+  const resolveParams = new URLSearchParams(params);
+  resolveParams.delete('raw');
+  resolveParams.delete('url');
+  resolveParams.set('surl', surl);
+  resolveParams.set('refresh', '1');
+
+  const resolveRes = await handleResolve(request, resolveParams, env, ctx);
+  if (!resolveRes.ok) {
+    return { error: resolveRes };
+  }
+
+  try {
+    const resolvedBody = await resolveRes.json();
+    record = resolvedBody?.data || null;
+  } catch {
+    record = null;
+  }
+
+  return { record };
+}
+
+/**
+ * Fetch one rendition's media playlist from share/streaming.
+ * Returns { playlist, status } or { failure }.
+ */
+async function fetchStreamPlaylist(request, env, record, type, streamAuth) {
+  const streamUrls = upstreamUrls(env, 'stream', host => buildStreamUrl(host, record, type, streamAuth));
+
+  let res;
+  try {
+    res = await fetchWithRetry(streamUrls, {
+      headers: buildHeaders(request, {
+        Accept: '*/*',
+        Referer: 'https://www.terabox.com/'
+      })
+    }, streamUrls.length - 1, 200, 8000);
+  } catch (err) {
+    return fetchFailure(err, 'stream');
+  }
+
+  if (!res.ok) {
+    return upstreamFailure(502, 'Upstream stream request failed', 'upstream_error', {
+      status: res.status
+    });
+  }
+
+  const playlist = await res.text();
+  if (!playlist.includes('#EXTM3U')) {
+    return upstreamFailure(502, 'Upstream stream returned non-M3U8 content', 'upstream_non_m3u8', {
+      status: res.status,
+      preview: playlist.slice(0, 300)
+    });
+  }
+
+  return { playlist, status: res.status, url: res.url || streamUrls[0] };
+}
+
+/**
+ * Renditions probed for type=auto, lowest first. Bandwidths are estimates,
+ * share/streaming does not report them.
+ */
+const STREAM_RENDITIONS = [
+  { type: 'M3U8_AUTO_240', name: '240p', resolution: '426x240', bandwidth: 400000 },
+  { type: 'M3U8_AUTO_360', name: '360p', resolution: '640x360', bandwidth: 800000 },
+  { type: 'M3U8_AUTO_480', name: '480p', resolution: '854x480', bandwidth: 1400000 },
+  { type: 'M3U8_AUTO_720', name: '720p', resolution: '1280x720', bandwidth: 2800000 },
+  { type: 'M3U8_AUTO_1080', name: '1080p', resolution: '1920x1080', bandwidth: 5000000 }
+];
+
+/**
+ * Proxy URL of one rendition's media playlist, pinned to the resolved file
+ */
+function buildRenditionUrl(request, surl, record, type) {
+  const url = new URL(request.url);
+  url.searchParams.delete('url');
+  url.searchParams.delete('index');
+  url.searchParams.delete('master');
+  url.searchParams.delete('refresh');
+  url.searchParams.set('mode', 'stream');
+  url.searchParams.set('surl', surl);
+  url.searchParams.set('fid', String(record.fid));
+  url.searchParams.set('type', type);
+  return url.toString();
+}
+
+/**
+ * Probe every rendition and answer with an HLS multivariant playlist listing
+ * the ones upstream can serve
+ */
+async function buildMasterPlaylist(request, env, surl, record, streamAuth) {
+  const [probes, subtitles] = await Promise.all([
+    Promise.all(
+      STREAM_RENDITIONS.map(rendition => fetchStreamPlaylist(request, env, record, rendition.type, streamAuth))
+    ),
+    findStoredSubtitleTracks(env, surl, record.fid)
+  ]);
+  const available = STREAM_RENDITIONS.filter((_, i) => !probes[i].failure);
+
+  if (!available.length) {
+    const failure = probes[probes.length - 1].failure;
+    return errorJson(502, 'No stream renditions available', 'no_renditions', {
+      upstream: failure.code,
+      ...(failure.details && typeof failure.details === 'object' ? failure.details : {})
+    });
+  }
+
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  const usedNames = new Set();
+  subtitles.forEach((track) => {
+    // NAME must be unique within the group and cannot contain quotes
+    let name = track.name.replace(/"/g, "'");
+    if (usedNames.has(name)) name = `${name} (${track.fid})`;
+    usedNames.add(name);
+    const language = track.language ? `,LANGUAGE="${track.language}"` : '';
+    const uri = buildSubtitleUrl(request, surl, track.fid, 'm3u8');
+    lines.push(
+      `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="${name}"${language},DEFAULT=NO,AUTOSELECT=YES,URI="${uri}"`
+    );
+  });
+
+  const subtitleGroup = subtitles.length ? ',SUBTITLES="subs"' : '';
+  available.forEach((rendition) => {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.resolution},NAME="${rendition.name}"${subtitleGroup}`,
+      buildRenditionUrl(request, surl, record, rendition.type)
+    );
+  });
+
+  return new Response(`${lines.join('\n')}\n`, {
+    headers: {
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Handle stream mode - returns M3U8 playlist using cached metadata.
+ * type=auto (or master=1) returns a multivariant playlist over the available renditions.
+ */
+export async function handleStream(request, params, env, ctx) {
+  const { surl, error } = readSurlParam(params);
+  const type = params.get('type') || 'M3U8_AUTO_360';
+  const selector = getFileSelector(params);
+
+  if (error) return error;
+  if (!surl) {
+    return badRequest('Missing surl or url', ['surl', 'url']);
+  }
+  if (!isValidFileIndex(selector.index)) {
+    return errorJson(400, 'Invalid index, expected a non-negative integer', 'invalid_index');
+  }
+
+  // Misconfigured signing fails before any cache, D1 or upstream work
+  const { options: rewriteOptions, error: signingError } = getRewriteOptions(request, env, surl);
+  if (signingError) return signingError;
+
+  const master = type === 'auto' || params.get('master') === '1';
+  const ttl = params.get('refresh') === '1' ? 0 : getCacheTtl(env, 'playlist');
+  const pwd = params.get('pwd')?.trim();
+  const cacheKey = playlistCacheKey(request, {
+    surl,
+    type: master ? 'auto' : type,
+    fid: selector.fid,
+    index: selector.index,
+    pwdKey: pwd ? await sharePasswordKey(surl, pwd) : null,
+    apiKeyId: getRequestApiKeyId(request)
+  });
+
+  if (ttl) {
+    const cached = await matchCache(cacheKey, request);
+    if (cached) return cached;
+  }
+
+  const response = await buildStreamResponse(request, params, env, ctx, surl, type, selector, master, rewriteOptions);
+  return response.ok ? storeInCache(ctx, cacheKey, response, ttl) : response;
+}
+
+async function buildStreamResponse(request, params, env, ctx, surl, type, selector, master, rewriteOptions) {
+  const { record, error: recordError } = await loadShareRecord(
+    request, params, env, ctx, surl, selector, hasStreamMetadata
+  );
+  if (recordError) return recordError;
+  if (!hasStreamMetadata(record)) {
+    return errorJson(500, 'Incomplete stream metadata', 'incomplete_metadata');
+  }
+
+  const { uk, shareid, fid, dlink } = record;
+  if (!uk || !shareid || !fid || !dlink) {
+    return errorJson(500, 'Incomplete stream metadata', 'incomplete_metadata');
+  }
+
+  const streamAuth = getStreamAuthFromDlink(dlink);
+  if (!streamAuth) {
+    return errorJson(
+      502,
+      'Missing signed stream parameters in dlink',
+      'stream_auth_missing'
+    );
+  }
+
+  if (master) {
+    return buildMasterPlaylist(request, env, surl, record, streamAuth);
+  }
+
+  const result = await fetchStreamPlaylist(request, env, record, type, streamAuth);
+  if (result.failure) return failureResponse(result.failure);
+
+  const rewritten = await rewriteM3U8(result.playlist, request, result.url, rewriteOptions);
+
+  return new Response(rewritten, {
+    status: result.status,
+    headers: {
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Validate that URL belongs to an allowed TeraBox domain
+ */
+function isAllowedSegmentUrl(urlString) {
+  try {
+    return isTeraboxHostname(new URL(urlString).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Request headers forwarded to TeraBox file hosts (ranges and revalidation)
+ */
+const FORWARDED_REQUEST_HEADERS = [
+  'Range',
+  'If-Range',
+  'If-Modified-Since',
+  'If-None-Match',
+  'Accept-Encoding'
+];
+
+/**
+ * Response headers passed back from TeraBox file hosts
+ */
+const PASSTHROUGH_RESPONSE_HEADERS = [
+  'Content-Range',
+  'Accept-Ranges',
+  'Content-Length',
+  'ETag',
+  'Last-Modified'
+];
+
+function buildForwardHeaders(request) {
+  const headers = {};
+  FORWARDED_REQUEST_HEADERS.forEach((h) => {
+    const v = request.headers.get(h);
+    if (v) headers[h] = v;
+  });
+  return headers;
+}
+
+function copyPassthroughHeaders(res, headers) {
+  PASSTHROUGH_RESPONSE_HEADERS.forEach((h) => {
+    const v = res.headers.get(h);
+    if (v) headers.set(h, v);
+  });
+}
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Fetch a TeraBox URL following redirects by hand, so every hop (CDN hosts
+ * included) must pass the domain allowlist. A redirect outside it resolves
+ * to { unsafeRedirect, location } instead of a Response.
+ */
+async function fetchAllowedUrl(url, options, timeoutMs) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    const res = await fetchWithTimeout(current, { ...options, redirect: 'manual' }, timeoutMs);
+    const location = res.headers.get('location');
+    if (res.status < 300 || res.status >= 400 || res.status === 304 || !location) return res;
+
+    let next;
+    try {
+      next = new URL(location, current);
+    } catch {
+      return { unsafeRedirect: 'invalid_location', location };
+    }
+    if (hop >= MAX_REDIRECTS) return { unsafeRedirect: 'too_many_redirects', location: next.toString() };
+    if (next.protocol !== 'https:' && next.protocol !== 'http:') {
+      return { unsafeRedirect: 'unsupported_protocol', location: next.toString() };
+    }
+    if (!isAllowedSegmentUrl(next.toString())) {
+      return { unsafeRedirect: 'disallowed_host', location: next.toString() };
+    }
+    current = next.toString();
+  }
+}
+
+function unsafeRedirectResponse(result) {
+  return errorJson(502, 'Upstream redirected to a disallowed location', 'unsafe_redirect', {
+    reason: result.unsafeRedirect,
+    location: result.location
+  });
+}
+
+/**
+ * Options for rewriteM3U8: sign proxied URLs when SEGMENT_SECRET is set,
+ * fall back to raw url= only when ALLOW_RAW_SEGMENT_URLS opts in. Tokens carry
+ * the request's API key so segment bandwidth counts against it.
+ * Returns { options } or { error }.
+ */
+function getRewriteOptions(request, env, surl) {
+  const sign = createSegmentSigner(env, surl, getRequestApiKeyId(request));
+  if (sign) return { options: { sign } };
+  if (allowsRawSegmentUrls(env)) return { options: {} };
+  return {
+    error: errorJson(
+      500,
+      'SEGMENT_SECRET is not configured',
+      'segment_signing_unconfigured'
+    )
+  };
+}
+
+/**
+ * Upstream URL of a segment or playlist request: a signed token, or a raw
+ * url= when ALLOW_RAW_SEGMENT_URLS is enabled. Returns { url, surl } or { error }.
+ */
+async function readProxyTarget(params, env, kind) {
+  // Without a secret nothing can be verified, and raw URLs are opt-in only
+  if (!env.SEGMENT_SECRET && !allowsRawSegmentUrls(env)) {
+    return { error: errorJson(500, 'SEGMENT_SECRET is not configured', 'segment_signing_unconfigured') };
+  }
+
+  const token = params.get('token');
+  if (token) {
+    if (!env.SEGMENT_SECRET) {
+      return { error: errorJson(500, 'SEGMENT_SECRET is not configured', 'segment_signing_unconfigured') };
+    }
+    const verified = await verifySegmentToken(env.SEGMENT_SECRET, token, kind);
+    if (!verified.payload) return { error: errorJson(403, verified.message, verified.code) };
+    return { url: verified.payload.u, surl: verified.payload.s };
+  }
+
+  const url = params.get('url');
+  if (!url) {
+    return { error: badRequest('Missing token param', ['token']) };
+  }
+  if (!allowsRawSegmentUrls(env)) {
+    return { error: errorJson(403, 'Unsigned URLs are disabled, use the token from the playlist', 'segment_token_required') };
+  }
+  return { url, surl: null };
+}
+
+/**
+ * Handle segment mode - proxies video segments
+ */
+export async function handleSegment(request, params, env, ctx) {
+  const { url: targetUrl, error } = await readProxyTarget(params, env, 'segment');
+  if (error) return error;
+
+  // SSRF protection: only allow TeraBox domains
+  if (!isAllowedSegmentUrl(targetUrl)) {
+    return errorJson(403, 'Invalid segment URL: only TeraBox domains allowed', 'invalid_segment_url');
+  }
+
+  const ttl = getCacheTtl(env, 'segment');
+  const cacheKey = segmentCacheKey(request, targetUrl);
+  if (ttl) {
+    const cached = await matchCache(cacheKey, request);
+    if (cached) return cached;
+  }
+
+  let res;
+  try {
+    res = await fetchAllowedUrl(targetUrl, {
+      headers: buildHeaders(request, {
+        Referer: 'https://www.terabox.com/',
+        ...buildForwardHeaders(request)
+      })
+    }, 8000);
+  } catch (err) {
+    const isAbort = err?.name === 'AbortError';
+    return errorJson(
+      isAbort ? 504 : 502,
+      isAbort ? 'Upstream segment request timed out' : 'Upstream segment request failed',
+      isAbort ? 'upstream_timeout' : 'upstream_error',
+      err?.message || (isAbort ? 'timeout' : 'network_error')
+    );
+  }
+  if (res.unsafeRedirect) return unsafeRedirectResponse(res);
+
+  const responseHeaders = new Headers({
+    'Content-Type': res.headers.get('content-type') || 'video/mp2t',
+    'Cache-Control': 'no-store'
+  });
+  copyPassthroughHeaders(res, responseHeaders);
+
+  // Partial and conditional answers pass through; full 200s fill the cache
+  return storeInCache(ctx, cacheKey, new Response(res.body, {
+    status: res.status,
+    headers: responseHeaders
+  }), ttl);
+}
+
+/**
+ * Handle playlist mode - proxies a nested (variant or rendition) playlist and
+ * rewrites its URIs like stream mode does
+ */
+export async function handlePlaylist(request, params, env) {
+  const { url: targetUrl, surl, error } = await readProxyTarget(params, env, 'playlist');
+  if (error) return error;
+
+  const { options: rewriteOptions, error: signingError } = getRewriteOptions(request, env, surl);
+  if (signingError) return signingError;
+
+  if (!isAllowedSegmentUrl(targetUrl)) {
+    return errorJson(403, 'Invalid playlist URL: only TeraBox domains allowed', 'invalid_playlist_url');
+  }
+
+  let res;
+  try {
+    res = await fetchAllowedUrl(targetUrl, {
+      headers: buildHeaders(request, {
+        Accept: '*/*',
+        Referer: 'https://www.terabox.com/'
+      })
+    }, 8000);
+  } catch (err) {
+    return failureResponse(fetchFailure(err, 'playlist').failure);
+  }
+  if (res.unsafeRedirect) return unsafeRedirectResponse(res);
+
+  if (!res.ok) {
+    return errorJson(502, 'Upstream playlist request failed', 'upstream_error', {
+      status: res.status
+    });
+  }
+
+  const playlist = await res.text();
+  if (!playlist.includes('#EXTM3U')) {
+    return errorJson(502, 'Upstream returned non-M3U8 content', 'upstream_non_m3u8', {
+      status: res.status,
+      preview: playlist.slice(0, 300)
+    });
+  }
+
+  return new Response(await rewriteM3U8(playlist, request, res.url || targetUrl, rewriteOptions), {
+    headers: {
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Proxy URL of a subtitle track as WebVTT, or with format=m3u8 as an HLS
+ * subtitle playlist
+ */
+function buildSubtitleUrl(request, surl, trackFid, format) {
+  const url = new URL(request.url);
+  ['url', 'index', 'fid', 'master', 'refresh', 'type'].forEach(name => url.searchParams.delete(name));
+  url.searchParams.set('mode', 'subtitles');
+  url.searchParams.set('surl', surl);
+  url.searchParams.set('track', trackFid);
+  if (format) url.searchParams.set('format', format);
+  else url.searchParams.delete('format');
+  return url.toString();
+}
+
+/**
+ * Subtitle tracks next to a file, read from the share stored in D1.
+ * Lookup problems only mean no tracks.
+ */
+async function findStoredSubtitleTracks(env, surl, videoFid) {
+  if (!env.sharedfile) return [];
+  try {
+    const share = await getShareFromDb(env.sharedfile, surl);
+    const video = share?.list?.find(file => String(file.fs_id) === String(videoFid));
+    return video ? findSubtitleTracks(share.list, video) : [];
+  } catch (err) {
+    console.error('D1 subtitle lookup error:', err);
+    return [];
+  }
+}
+
+/**
+ * Handle subtitles mode - lists the subtitle tracks of a file, or with
+ * track=<fs_id> proxies one track as WebVTT (format=m3u8 wraps it in an HLS
+ * subtitle playlist)
+ */
+export async function handleSubtitles(request, params, env, ctx) {
+  const { surl, error } = readSurlParam(params);
+  const selector = getFileSelector(params);
+  const track = params.get('track');
+
+  if (error) return error;
+  if (!surl) {
+    return badRequest('Missing surl or url', ['surl', 'url']);
+  }
+  if (!isValidFileIndex(selector.index)) {
+    return errorJson(400, 'Invalid index, expected a non-negative integer', 'invalid_index');
+  }
+  const missing = requireD1(env);
+  if (missing) return missing;
+
+  if (!track) {
+    const { record, error: recordError } = await loadShareRecord(
+      request, params, env, ctx, surl, selector, r => !!r?.fid
+    );
+    if (recordError) return recordError;
+    if (!record?.fid) return fileNotFound(surl, selector);
+
+    const tracks = await findStoredSubtitleTracks(env, surl, record.fid);
+    return Response.json({
+      surl,
+      fid: record.fid,
+      name: record.name,
+      tracks: tracks.map(t => ({
+        ...t,
+        url: buildSubtitleUrl(request, surl, t.fid),
+        playlist: buildSubtitleUrl(request, surl, t.fid, 'm3u8')
+      }))
+    });
+  }
+
+  const trackSelector = { fid: track, index: null };
+  const { record, error: recordError } = await loadShareRecord(
+    request, params, env, ctx, surl, trackSelector, r => !!r?.dlink
+  );
+  if (recordError) return recordError;
+  if (!record) return fileNotFound(surl, trackSelector);
+  if (!isSubtitleFile({ server_filename: record.name, isdir: 0 })) {
+    return errorJson(400, 'File is not a subtitle track (.srt or .vtt)', 'not_a_subtitle', { fid: track });
+  }
+
+  const vtt = await fetchSubtitleText(request, record);
+  if (vtt.error) return vtt.error;
+
+  // The playlist needs the track's duration, so the file is read here as well
+  if (params.get('format') === 'm3u8') {
+    const playlist = buildSubtitlePlaylist(buildSubtitleUrl(request, surl, track), webVttDuration(vtt.text));
+    return new Response(playlist, {
+      headers: {
+        'Content-Type': 'application/vnd.apple.mpegurl',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  return new Response(vtt.text, {
+    headers: {
+      'Content-Type': 'text/vtt; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Download a subtitle file through its dlink and convert it to WebVTT.
+ * Returns { text } or { error }.
+ */
+async function fetchSubtitleText(request, record) {
+  if (!record.dlink) {
+    return {
+      error: errorJson(502, 'No dlink available for this file', 'dlink_missing', {
+        note: 'dlink requires valid TeraBox cookies to download'
+      })
+    };
+  }
+  if (!isAllowedSegmentUrl(record.dlink)) {
+    return { error: errorJson(502, 'dlink points outside TeraBox domains', 'invalid_dlink') };
+  }
+
+  let res;
+  try {
+    res = await fetchAllowedUrl(record.dlink, {
+      headers: buildHeaders(request, { Referer: 'https://www.terabox.com/' })
+    }, 8000);
+  } catch (err) {
+    return { error: failureResponse(fetchFailure(err, 'subtitle').failure) };
+  }
+  if (res.unsafeRedirect) return { error: unsafeRedirectResponse(res) };
+  if (!res.ok) {
+    return {
+      error: errorJson(502, 'Upstream subtitle request failed', 'upstream_error', { status: res.status })
+    };
+  }
+
+  return { text: toWebVtt(await res.text()) };
+}
+
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Build a Content-Disposition header that survives non-ASCII file names
+ */
+function contentDisposition(filename) {
+  const name = (filename || 'download').split('/').pop() || 'download';
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Worker URL for another mode, carrying surl, pwd and api_key
+ */
+function buildModeUrl(request, mode, surl, values = {}) {
+  const current = new URL(request.url);
+  const url = new URL(current.pathname, current.origin);
+  url.searchParams.set('mode', mode);
+  url.searchParams.set('surl', surl);
+  ['pwd', 'api_key'].forEach((name) => {
+    const value = current.searchParams.get(name);
+    if (value) url.searchParams.set(name, value);
+  });
+  Object.entries(values).forEach(([name, value]) => url.searchParams.set(name, String(value)));
+  return url.toString();
+}
+
+const PLAYER_QUALITIES = ['auto', ...STREAM_RENDITIONS.map(rendition => rendition.type)];
+
+function playerPage(view, status = 200) {
+  return new Response(renderPlayerPage(view), {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+function playerErrorPage(request, surl, status, body) {
+  const code = body?.code || 'error';
+  const needsPassword = ['password_required', 'invalid_password', 'verification_required'].includes(code);
+  const current = new URL(request.url);
+  // The retry keeps the API key and selected file, only pwd is asked for again
+  const fields = { mode: 'player', surl };
+  ['api_key', 'fid', 'index'].forEach((name) => {
+    const value = current.searchParams.get(name);
+    if (value) fields[name] = value;
+  });
+  return playerPage({
+    title: 'TeraBox player',
+    error: { message: body?.error || 'Request failed', code },
+    passwordForm: needsPassword && surl
+      ? { action: current.pathname, fields }
+      : null,
+    files: []
+  }, status);
+}
+
+/**
+ * Handle player mode - HTML page that plays a share through mode=stream
+ */
+export async function handlePlayer(request, params, env, ctx) {
+  const { surl, error } = readSurlParam(params);
+  if (error) return playerErrorPage(request, null, error.status, await error.json());
+  if (!surl) {
+    return playerErrorPage(request, null, 400, { error: 'Missing surl or url', code: 'bad_request' });
+  }
+
+  const resolveParams = new URLSearchParams(params);
+  resolveParams.delete('raw');
+  resolveParams.delete('url');
+  resolveParams.set('surl', surl);
+
+  const resolveRes = await handleResolve(request, resolveParams, env, ctx);
+  const body = await resolveRes.json().catch(() => null);
+  if (!resolveRes.ok || !body?.data) {
+    return playerErrorPage(request, surl, resolveRes.ok ? 502 : resolveRes.status, body);
+  }
+
+  const record = body.data;
+  const files = (body.files || []).filter(file => !file.isdir);
+  const fileUrls = {};
+  files.forEach((file) => {
+    fileUrls[file.fid] = buildModeUrl(request, 'player', surl, { fid: file.fid });
+  });
+  const streamUrls = {};
+  PLAYER_QUALITIES.forEach((type) => {
+    streamUrls[type] = buildModeUrl(request, 'stream', surl, { fid: record.fid, type });
+  });
+
+  return playerPage({
+    title: record.name || 'TeraBox player',
+    record,
+    files,
+    current: record.fid ? String(record.fid) : null,
+    qualities: PLAYER_QUALITIES,
+    streamUrls,
+    downloadUrl: record.fid ? buildModeUrl(request, 'download', surl, { fid: record.fid }) : null,
+    thumbUrl: record.thumb && record.fid ? buildModeUrl(request, 'thumb', surl, { fid: record.fid, size: 'url3' }) : null,
+    fileUrls
+  });
+}
+
+/**
+ * Handle download mode - streams a file's dlink body through the Worker
+ */
+export async function handleDownload(request, params, env, ctx) {
+  const { surl, error } = readSurlParam(params);
+  const selector = getFileSelector(params);
+
+  if (error) return error;
+  if (!surl) {
+    return badRequest('Missing surl or url', ['surl', 'url']);
+  }
+  if (!isValidFileIndex(selector.index)) {
+    return errorJson(400, 'Invalid index, expected a non-negative integer', 'invalid_index');
+  }
+
+  const { record, error: recordError } = await loadShareRecord(
+    request, params, env, ctx, surl, selector, r => !!r?.dlink
+  );
+  if (recordError) return recordError;
+  if (!record?.dlink) {
+    return errorJson(502, 'No dlink available for this file', 'dlink_missing', {
+      note: 'dlink requires valid TeraBox cookies to download'
+    });
+  }
+  if (!isAllowedSegmentUrl(record.dlink)) {
+    return errorJson(502, 'dlink points outside TeraBox domains', 'invalid_dlink');
   }
 
   let res;
   try {
-    res = await fetchWithTimeout(streamUrl.toString(), {
+    res = await fetchAllowedUrl(record.dlink, {
       headers: buildHeaders(request, {
-        Accept: '*/*',
-        Referer: 'https://www.terabox.com/'
+        Referer: 'https://www.terabox.com/',
+        ...buildForwardHeaders(request)
       })
-    }, 8000);
+    }, DOWNLOAD_TIMEOUT_MS);
   } catch (err) {
     const isAbort = err?.name === 'AbortError';
     return errorJson(
       isAbort ? 504 : 502,
-      isAbort ? 'Upstream stream request timed out' : 'Upstream stream request failed',
+      isAbort ? 'Upstream download request timed out' : 'Upstream download request failed',
       isAbort ? 'upstream_timeout' : 'upstream_error',
       err?.message || (isAbort ? 'timeout' : 'network_error')
     );
   }
+  if (res.unsafeRedirect) return unsafeRedirectResponse(res);
 
-  if (!res.ok) {
-    return errorJson(502, 'Upstream stream request failed', 'upstream_error', {
+  // 304 and 416 are valid answers to conditional and range requests
+  if (!res.ok && res.status !== 304 && res.status !== 416) {
+    return errorJson(502, 'Upstream download request failed', 'upstream_error', {
       status: res.status
     });
   }
 
-  const playlist = await res.text();
-  if (!playlist.includes('#EXTM3U')) {
-    return errorJson(502, 'Upstream stream returned non-M3U8 content', 'upstream_non_m3u8', {
-      status: res.status,
-      preview: playlist.slice(0, 300)
-    });
-  }
-  const rewritten = rewriteM3U8(playlist, request);
+  const responseHeaders = new Headers({
+    'Content-Type': res.headers.get('content-type') || 'application/octet-stream',
+    'Content-Disposition': contentDisposition(record.name),
+    'Cache-Control': 'no-store'
+  });
+  copyPassthroughHeaders(res, responseHeaders);
+  if (!responseHeaders.has('Accept-Ranges')) responseHeaders.set('Accept-Ranges', 'bytes');
 
-  return new Response(rewritten, {
+  return new Response(res.body, {
     status: res.status,
-    headers: {
-      'Content-Type': 'application/vnd.apple.mpegurl',
-      'Cache-Control': 'no-store'
-    }
+    headers: responseHeaders
   });
 }
 
 /**
- * Allowed domains for segment proxying (SSRF protection)
+ * Thumbnail variants from largest to smallest, with friendly aliases
  */
-const ALLOWED_SEGMENT_DOMAINS = [
-  'terabox.com',
-  'terabox.app',
-  '1024tera.com',
-  '1024terabox.com',
-  'freeterabox.com',
-  'teraboxcdn.com',
-  'dm.terabox.app',
-  'dm.1024tera.com',
-  'terasharelink.com',
-  'terafileshare.com',
-  'teraboxlink.com',
-  'teraboxshare.com',
-  'terasharefile.com',
-  'teraboxurl.com',
-  
-];
+const THUMB_SIZES = ['url3', 'url2', 'url1', 'icon'];
+const THUMB_SIZE_ALIASES = { large: 'url3', medium: 'url2', small: 'url1' };
+const DEFAULT_THUMB_SIZE = 'url2';
 
 /**
- * Validate that URL belongs to an allowed TeraBox domain
+ * Stored variants to try for a size: the size itself, then smaller ones,
+ * then larger ones
  */
-function isAllowedSegmentUrl(urlString) {
-  try {
-    const url = new URL(urlString);
-    return ALLOWED_SEGMENT_DOMAINS.some(domain => 
-      url.hostname === domain || url.hostname.endsWith('.' + domain)
-    );
-  } catch {
-    return false;
+function thumbCandidates(thumbs, size) {
+  const start = THUMB_SIZES.indexOf(size);
+  const order = [
+    ...THUMB_SIZES.slice(start),
+    ...THUMB_SIZES.slice(0, start).reverse()
+  ];
+  return order.filter(type => thumbs[type]).map(type => ({ type, url: thumbs[type] }));
+}
+
+async function getStoredThumbs(env, fid) {
+  const rows = await env.sharedfile
+    .prepare('SELECT url, thumbnail_type FROM thumbnails WHERE fs_id = ?')
+    .bind(fid)
+    .all();
+  const thumbs = {};
+  (rows.results || []).forEach((t) => {
+    thumbs[t.thumbnail_type] = t.url;
+  });
+  return thumbs;
+}
+
+/**
+ * Fetch the first thumbnail variant upstream serves as an image.
+ * Returns { res, type } or null.
+ */
+async function fetchThumbVariant(request, candidates) {
+  for (const candidate of candidates) {
+    if (!isAllowedSegmentUrl(candidate.url)) continue;
+    try {
+      const res = await fetchAllowedUrl(candidate.url, {
+        headers: buildHeaders(request, {
+          Accept: 'image/*',
+          Referer: 'https://www.terabox.com/'
+        })
+      }, 8000);
+      if (!res.unsafeRedirect && res.ok && (res.headers.get('content-type') || '').startsWith('image/')) {
+        return { res, type: candidate.type };
+      }
+    } catch (err) {
+      console.error('Thumbnail fetch error:', candidate.type, err?.message);
+    }
   }
+  return null;
 }
 
 /**
- * Handle segment mode - proxies video segments
+ * Handle thumb mode - proxies a file's thumbnail with long-lived caching.
+ * Stale thumbnail URLs are refreshed by resolving the share again.
  */
-export async function handleSegment(request, params) {
-  const targetUrl = params.get('url');
-  if (!targetUrl) {
-    return badRequest('Missing url param', ['url']);
+export async function handleThumb(request, params, env, ctx) {
+  const fid = params.get('fid');
+  const requested = params.get('size') || DEFAULT_THUMB_SIZE;
+  const size = THUMB_SIZE_ALIASES[requested] || requested;
+  const pwd = params.get('pwd')?.trim() || null;
+
+  if (!fid) {
+    return badRequest('Missing fid', ['fid']);
+  }
+  if (!THUMB_SIZES.includes(size)) {
+    return errorJson(400, 'Invalid size, expected url1, url2, url3, icon, small, medium or large', 'invalid_size');
   }
+  const missing = requireD1(env);
+  if (missing) return missing;
 
-  // SSRF protection: only allow TeraBox domains
-  if (!isAllowedSegmentUrl(targetUrl)) {
-    return errorJson(403, 'Invalid segment URL: only TeraBox domains allowed', 'invalid_segment_url');
+  const file = await env.sharedfile
+    .prepare('SELECT fs_id, share_id FROM media_files WHERE fs_id = ?')
+    .bind(fid)
+    .first();
+  if (!file) {
+    return errorJson(404, 'File not found', 'not_found', { fid });
   }
 
-  const forwardHeaders = {};
-  const range = request.headers.get('Range');
-  if (range) forwardHeaders.Range = range;
-  const ifRange = request.headers.get('If-Range');
-  if (ifRange) forwardHeaders['If-Range'] = ifRange;
-  const ifModified = request.headers.get('If-Modified-Since');
-  if (ifModified) forwardHeaders['If-Modified-Since'] = ifModified;
-  const ifNoneMatch = request.headers.get('If-None-Match');
-  if (ifNoneMatch) forwardHeaders['If-None-Match'] = ifNoneMatch;
-  const acceptEncoding = request.headers.get('Accept-Encoding');
-  if (acceptEncoding) forwardHeaders['Accept-Encoding'] = acceptEncoding;
+  const owner = file.share_id
+    ? await env.sharedfile
+      .prepare('SELECT is_protected, pwd_hash FROM shares WHERE share_id = ?')
+      .bind(file.share_id)
+      .first()
+    : null;
+  if (owner && !await canServeCachedShare(env, owner, file.share_id, pwd)) {
+    return passwordRequired(file.share_id);
+  }
 
-  let res;
-  try {
-    res = await fetchWithTimeout(targetUrl, {
-      headers: buildHeaders(request, {
-        Referer: 'https://www.terabox.com/',
-        ...forwardHeaders
-      })
-    }, 8000);
-  } catch (err) {
-    const isAbort = err?.name === 'AbortError';
-    return errorJson(
-      isAbort ? 504 : 502,
-      isAbort ? 'Upstream segment request timed out' : 'Upstream segment request failed',
-      isAbort ? 'upstream_timeout' : 'upstream_error',
-      err?.message || (isAbort ? 'timeout' : 'network_error')
-    );
+  const ttl = getCacheTtl(env, 'thumb');
+  const cacheKey = thumbCacheKey(request, fid, size);
+  if (ttl) {
+    const cached = await matchCache(cacheKey, request);
+    if (cached) return cached;
   }
 
-  const responseHeaders = new Headers({
-    'Content-Type': res.headers.get('content-type') || 'video/mp2t',
-    'Cache-Control': 'no-store'
-  });
-  const passthroughHeaders = [
-    'Content-Range',
-    'Accept-Ranges',
-    'Content-Length',
-    'ETag',
-    'Last-Modified'
-  ];
-  passthroughHeaders.forEach((h) => {
-    const v = res.headers.get(h);
-    if (v) responseHeaders.set(h, v);
+  let thumbs = await getStoredThumbs(env, fid);
+  const stale = thumbCandidates(thumbs, size)
+    .some(candidate => isDlinkExpiring(getDlinkExpiry(candidate.url), env));
+
+  let result = stale ? null : await fetchThumbVariant(request, thumbCandidates(thumbs, size));
+  let refresh = null;
+
+  // Expired or rejected URLs: resolve the share again for freshly signed ones
+  if (!result && file.share_id) {
+    refresh = await refreshExpiredShare(request, params, env, file.share_id);
+    if (refresh.refreshed) {
+      thumbs = await getStoredThumbs(env, fid);
+      result = await fetchThumbVariant(request, thumbCandidates(thumbs, size));
+    }
+  }
+
+  if (!result) {
+    if (!Object.keys(thumbs).length) {
+      return errorJson(404, 'No thumbnail stored for this file', 'thumbnail_not_found', { fid });
+    }
+    return errorJson(502, 'Upstream thumbnail request failed', 'upstream_error', {
+      fid,
+      ...refreshSummary(refresh)
+    });
+  }
+
+  const headers = new Headers({
+    'Content-Type': result.res.headers.get('content-type'),
+    'X-Thumbnail-Size': result.type
   });
+  const length = result.res.headers.get('content-length');
+  if (length) headers.set('Content-Length', length);
 
-  return new Response(res.body, {
-    status: res.status,
-    headers: responseHeaders
+  return storeInCache(ctx, cacheKey, new Response(result.res.body, { status: 200, headers }), ttl);
+}
+
+/**
+ * Refetch a share whose cached dlinks expired. The fresh data lands in D1
+ * through fetchLiveShare; failures are reported, not thrown.
+ */
+async function refreshExpiredShare(request, params, env, surl) {
+  const result = await fetchLiveShareOnce(request, env, surl, {
+    ...getTraversalOptions(params),
+    pwd: params.get('pwd')?.trim() || null
   });
+  return result.failure
+    ? { refreshed: false, failure: result.failure }
+    : { refreshed: true };
+}
+
+function refreshSummary(refresh) {
+  if (!refresh) return {};
+  if (refresh.refreshed) return { refreshed: true };
+  return { refreshed: false, refresh_error: refresh.failure.code };
 }
 
 /**
- * Handle lookup mode - query D1 database directly without hitting upstream
+ * Handle lookup mode - query D1 database directly, refetching from upstream
+ * only when the cached dlinks have expired
  * Supports lookup by share ID (surl) or file ID (fid)
  */
 export async function handleLookup(request, params, env) {
-  const surl = params.get('surl');
+  const { surl, error } = readSurlParam(params);
   const fid = params.get('fid');
+  const pwd = params.get('pwd')?.trim() || null;
 
+  if (error) return error;
   if (!surl && !fid) {
-    return badRequest('Missing surl or fid parameter', ['surl', 'fid']);
+    return badRequest('Missing surl, url or fid parameter', ['surl', 'url', 'fid']);
   }
 
   if (!env.sharedfile) {
@@ -539,7 +2119,7 @@ export async function handleLookup(request, params, env) {
   try {
     // Lookup by file ID
     if (fid) {
-      const file = await env.sharedfile
+      let file = await env.sharedfile
         .prepare('SELECT * FROM media_files WHERE fs_id = ?')
         .bind(fid)
         .first();
@@ -548,6 +2128,27 @@ export async function handleLookup(request, params, env) {
         return errorJson(404, 'File not found', 'not_found', { fid });
       }
 
+      const owner = file.share_id
+        ? await env.sharedfile
+          .prepare('SELECT is_protected, pwd_hash FROM shares WHERE share_id = ?')
+          .bind(file.share_id)
+          .first()
+        : null;
+      if (owner && !await canServeCachedShare(env, owner, file.share_id, pwd)) {
+        return passwordRequired(file.share_id);
+      }
+
+      let refresh = null;
+      if (file.share_id && isDlinkExpiring(getDlinkExpiry(file.dlink), env)) {
+        refresh = await refreshExpiredShare(request, params, env, file.share_id);
+        if (refresh.refreshed) {
+          file = await env.sharedfile
+            .prepare('SELECT * FROM media_files WHERE fs_id = ?')
+            .bind(fid)
+            .first() || file;
+        }
+      }
+
       // Get thumbnails for this file
       const thumbs = await env.sharedfile
         .prepare('SELECT url, thumbnail_type FROM thumbnails WHERE fs_id = ?')
@@ -562,22 +2163,38 @@ export async function handleLookup(request, params, env) {
       return Response.json({
         source: 'd1',
         ...(!file.dlink && { note: 'dlink requires valid TeraBox cookies to download' }),
-        data: { ...file, thumbs: thumbsObj }
+        ...refreshSummary(refresh),
+        data: { ...file, expires_at: getDlinkExpiry(file.dlink), thumbs: thumbsObj }
       });
     }
 
     // Lookup by share ID
-    const shareData = await getShareFromDb(env.sharedfile, surl);
+    let shareData = await getShareFromDb(env.sharedfile, surl);
 
     if (!shareData) {
       return errorJson(404, 'Share not found in D1. Use mode=resolve first.', 'not_found', { surl });
     }
+    if (!await canServeCachedShare(env, shareData, surl, pwd)) {
+      return passwordRequired(surl);
+    }
+
+    let refresh = null;
+    if (isDlinkExpiring(earliestDlinkExpiry(shareData.list), env)) {
+      refresh = await refreshExpiredShare(request, params, env, surl);
+      if (refresh.refreshed) {
+        shareData = await getShareFromDb(env.sharedfile, surl) || shareData;
+      }
+    }
 
     const hasDlink = shareData.list?.some(f => f.dlink) || false;
     return Response.json({
       source: 'd1',
       ...(!hasDlink && { note: 'dlink requires valid TeraBox cookies to download' }),
-      data: shareData
+      ...refreshSummary(refresh),
+      data: {
+        ...withoutPasswordHash(shareData),
+        list: (shareData.list || []).map(f => ({ ...f, expires_at: getDlinkExpiry(f.dlink) }))
+      }
     });
   } catch (err) {
     console.error('D1 lookup error:', err);
@@ -683,10 +2300,10 @@ export async function handleAdminShareDetail(request, params, env, shareId) {
   const missing = requireD1(env);
   if (missing) return missing;
 
-  const share = await env.sharedfile
+  const share = withoutPasswordHash(await env.sharedfile
     .prepare('SELECT * FROM shares WHERE share_id = ?')
     .bind(shareId)
-    .first();
+    .first());
 
   if (!share) {
     return errorJson(404, 'Share not found', 'not_found', { share_id: shareId });
@@ -713,11 +2330,11 @@ export async function handleAdminShareDetail(request, params, env, shareId) {
 
   const fileIds = (files?.results || []).map(f => f.fs_id).filter(Boolean);
   let thumbsByFsId = {};
-  if (fileIds.length > 0 && fileIds.length <= 200) {
-    const placeholders = fileIds.map(() => '?').join(',');
+  if (fileIds.length > 0) {
+    // One JSON parameter instead of one per file (D1 binds at most 100)
     const thumbs = await env.sharedfile
-      .prepare(`SELECT fs_id, url, thumbnail_type FROM thumbnails WHERE fs_id IN (${placeholders})`)
-      .bind(...fileIds)
+      .prepare('SELECT fs_id, url, thumbnail_type FROM thumbnails WHERE fs_id IN (SELECT value FROM json_each(?))')
+      .bind(JSON.stringify(fileIds))
       .all();
 
     thumbsByFsId = {};
@@ -894,6 +2511,68 @@ export async function handleAdminAnalyticsProcessed(request, params, env) {
   });
 }
 
+export async function handleAdminTombstones(request, params, env) {
+  const missing = requireD1(env);
+  if (missing) return missing;
+
+  const q = params.get('q')?.trim();
+  const code = params.get('code')?.trim();
+  const activeOnly = params.get('active') === '1';
+  const page = parsePositiveInt(params.get('page'), 1);
+  const pageSize = clamp(parsePositiveInt(params.get('pageSize'), 50), 1, 200);
+  const offset = (page - 1) * pageSize;
+
+  const whereParts = [];
+  const binds = [];
+
+  if (q) {
+    whereParts.push('share_id LIKE ?');
+    binds.push(`%${q}%`);
+  }
+  if (code) {
+    whereParts.push('code = ?');
+    binds.push(code);
+  }
+  if (activeOnly) {
+    whereParts.push('expires_at > ?');
+    binds.push(Math.floor(Date.now() / 1000));
+  }
+
+  const where = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
+
+  const totalRow = await env.sharedfile
+    .prepare(`SELECT COUNT(*) as total FROM share_tombstones ${where}`)
+    .bind(...binds)
+    .first();
+
+  const list = await env.sharedfile
+    .prepare(
+      `SELECT * FROM share_tombstones ${where}
+       ORDER BY created_at DESC
+       LIMIT ? OFFSET ?`
+    )
+    .bind(...binds, pageSize, offset)
+    .all();
+
+  return Response.json({
+    page,
+    pageSize,
+    total: totalRow?.total || 0,
+    items: list?.results || []
+  });
+}
+
+export async function handleAdminUpstreams(request, params, env) {
+  return Response.json({
+    hosts: {
+      page: getUpstreamHosts(env, 'page'),
+      api: getUpstreamHosts(env, 'api'),
+      stream: getUpstreamHosts(env, 'stream')
+    },
+    circuits: getCircuitStates()
+  });
+}
+
 export async function handleAdminKvEntry(request, params, env) {
   const missing = requireD1(env);
   if (missing) return missing;
@@ -912,3 +2591,216 @@ export async function handleAdminKvEntry(request, params, env) {
     return errorJson(500, 'Cached entry lookup failed', 'db_error', err?.message || 'unknown');
   }
 }
+
+export async function handleAdminAccounts(request, params, env) {
+  if (request.method === 'POST') {
+    const missing = requireD1(env);
+    if (missing) return missing;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return errorJson(400, 'Request body must be valid JSON', 'invalid_json');
+    }
+
+    const cookie = typeof body?.cookie === 'string' ? body.cookie.trim() : '';
+    if (!cookie) return badRequest('Missing cookie', ['cookie']);
+    const label = typeof body?.label === 'string' ? body.label.trim() || null : null;
+
+    const id = await insertAccount(env.sharedfile, { label, cookie });
+    invalidateAccounts();
+    const account = (await loadAccounts(env, { fresh: true })).find(a => a.id === String(id));
+    return Response.json({ account: account ? publicAccount(account) : { id: String(id) } }, { status: 201 });
+  }
+
+  const accounts = await loadAccounts(env, { fresh: true });
+  return Response.json({ total: accounts.length, items: accounts.map(publicAccount) });
+}
+
+export async function handleAdminAccountAction(request, params, env, accountId, action) {
+  if (request.method !== 'POST') {
+    return errorJson(405, 'Method not allowed, use POST', 'method_not_allowed');
+  }
+
+  const account = (await loadAccounts(env, { fresh: true })).find(a => a.id === accountId);
+  if (!account) {
+    return errorJson(404, 'Account not found', 'not_found', { id: accountId });
+  }
+
+  if (action === 'check') {
+    return Response.json({ account: await checkAccount(env, account) });
+  }
+
+  if (action === 'enable' || action === 'disable') {
+    if (account.source !== 'd1') {
+      return errorJson(400, 'Accounts from TERABOX_COOKIES are managed through the secret', 'account_read_only', { id: accountId });
+    }
+    const enabled = action === 'enable';
+    await setAccountEnabled(env.sharedfile, Number(account.id), enabled);
+    invalidateAccounts();
+    return Response.json({ account: publicAccount({ ...account, enabled }) });
+  }
+
+  return errorJson(404, 'Not found', 'not_found');
+}
+
+function publicApiKey(key) {
+  const { key_hash: _hash, ...rest } = key;
+  return { ...rest, allowed_modes: parseAllowedModes(key.allowed_modes) };
+}
+
+/**
+ * Read the optional daily quota `name` from a JSON body: a positive integer or null
+ */
+function readQuota(body, name) {
+  const value = body?.[name];
+  if (value === undefined || value === null) return { value: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) {
+    return { error: errorJson(400, `${name} must be a positive integer or null`, 'invalid_quota', { field: name }) };
+  }
+  return { value: n };
+}
+
+export async function handleAdminKeys(request, params, env) {
+  const missing = requireD1(env);
+  if (missing) return missing;
+
+  if (request.method === 'POST') {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return errorJson(400, 'Request body must be valid JSON', 'invalid_json');
+    }
+
+    const label = typeof body?.label === 'string' ? body.label.trim() || null : null;
+    const modes = parseAllowedModes(Array.isArray(body?.modes) ? body.modes.join(',') : body?.modes);
+    const unknown = (modes || []).filter(m => !PUBLIC_MODES.includes(m));
+    if (unknown.length) {
+      return errorJson(400, 'Unknown modes', 'invalid_modes', { unknown, allowed: PUBLIC_MODES });
+    }
+    const dailyRequests = readQuota(body, 'daily_requests');
+    if (dailyRequests.error) return dailyRequests.error;
+    const dailyBytes = readQuota(body, 'daily_bytes');
+    if (dailyBytes.error) return dailyBytes.error;
+
+    const { key, keyHash, keyPrefix } = await generateApiKey();
+    const id = await insertApiKey(env.sharedfile, {
+      label,
+      keyHash,
+      keyPrefix,
+      allowedModes: modes ? modes.join(',') : null,
+      dailyRequests: dailyRequests.value,
+      dailyBytes: dailyBytes.value
+    });
+    const created = await getApiKeyById(env.sharedfile, id);
+    // The plaintext key is only returned here and on rotation
+    return Response.json({ key, api_key: publicApiKey(created) }, { status: 201 });
+  }
+
+  const items = await listApiKeys(env.sharedfile, utcDay());
+  return Response.json({ total: items.length, items: items.map(publicApiKey) });
+}
+
+export async function handleAdminKeyDetail(request, params, env, keyId, action) {
+  const missing = requireD1(env);
+  if (missing) return missing;
+
+  const id = Number(keyId);
+  const key = Number.isInteger(id) ? await getApiKeyById(env.sharedfile, id) : null;
+  if (!key) {
+    return errorJson(404, 'API key not found', 'not_found', { id: keyId });
+  }
+
+  if (!action) {
+    const days = clamp(parsePositiveInt(params.get('days'), 30), 1, 366);
+    return Response.json({
+      api_key: publicApiKey(key),
+      usage: await listApiKeyUsage(env.sharedfile, id, days)
+    });
+  }
+
+  if (action !== 'rotate' && action !== 'revoke') {
+    return errorJson(404, 'Not found', 'not_found');
+  }
+  if (request.method !== 'POST') {
+    return errorJson(405, 'Method not allowed, use POST', 'method_not_allowed');
+  }
+  if (key.revoked_at) {
+    return errorJson(409, 'API key is revoked', 'api_key_revoked', { id });
+  }
+
+  if (action === 'revoke') {
+    await revokeApiKey(env.sharedfile, id);
+    return Response.json({ api_key: publicApiKey(await getApiKeyById(env.sharedfile, id)) });
+  }
+
+  const { key: plaintext, keyHash, keyPrefix } = await generateApiKey();
+  await rotateApiKey(env.sharedfile, id, keyHash, keyPrefix);
+  return Response.json({ key: plaintext, api_key: publicApiKey(await getApiKeyById(env.sharedfile, id)) });
+}
+
+/**
+ * Exchange the admin key (already checked by the router) for a session token
+ */
+export async function handleAdminLogin(request, params, env) {
+  if (request.method !== 'POST') {
+    return errorJson(405, 'Method not allowed, use POST', 'method_not_allowed');
+  }
+
+  const { token, expiresAt } = await issueAdminSession(env);
+  return Response.json({
+    token,
+    token_type: 'Bearer',
+    expires_at: expiresAt,
+    expires_in: expiresAt - Math.floor(Date.now() / 1000)
+  });
+}
+
+export async function handleAdminAudit(request, params, env) {
+  const missing = requireD1(env);
+  if (missing) return missing;
+
+  const q = params.get('q')?.trim();
+  const status = params.get('status')?.trim();
+  const page = parsePositiveInt(params.get('page'), 1);
+  const pageSize = clamp(parsePositiveInt(params.get('pageSize'), 50), 1, 200);
+  const offset = (page - 1) * pageSize;
+
+  const whereParts = [];
+  const binds = [];
+
+  if (q) {
+    whereParts.push('path LIKE ?');
+    binds.push(`%${q}%`);
+  }
+  if (status) {
+    whereParts.push('status = ?');
+    binds.push(Number.parseInt(status, 10) || 0);
+  }
+
+  const where = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
+
+  const totalRow = await env.sharedfile
+    .prepare(`SELECT COUNT(*) as total FROM admin_audit_log ${where}`)
+    .bind(...binds)
+    .first();
+
+  const list = await env.sharedfile
+    .prepare(
+      `SELECT * FROM admin_audit_log ${where}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`
+    )
+    .bind(...binds, pageSize, offset)
+    .all();
+
+  return Response.json({
+    page,
+    pageSize,
+    total: totalRow?.total || 0,
+    items: list?.results || []
+  });
+}
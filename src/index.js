@@ -2,8 +2,15 @@ import {
   handlePage,
   handleApi,
   handleResolve,
+  handleBatchResolve,
+  countBatchItems,
   handleStream,
+  handlePlaylist,
   handleSegment,
+  handleSubtitles,
+  handleDownload,
+  handleThumb,
+  handlePlayer,
   handleLookup,
   handleAdminOverview,
   handleAdminShares,
@@ -12,25 +19,38 @@ import {
   handleAdminFileDetail,
   handleAdminThumbnails,
   handleAdminAnalyticsProcessed,
+  handleAdminTombstones,
+  handleAdminUpstreams,
+  handleAdminAccounts,
+  handleAdminAccountAction,
+  handleAdminKeys,
+  handleAdminKeyDetail,
+  handleAdminLogin,
+  handleAdminAudit,
   handleAdminKvEntry
 } from './handlers.js';
-import { CORS_HEADERS, withCors, errorJson } from './utils.js';
+import { errorJson } from './utils.js';
+import { resolveCors, withCors, preflightResponse } from './cors.js';
+import { configureUpstreams } from './upstream.js';
+import { withAccountCookie } from './accounts.js';
+import { PUBLIC_MODES, authorizeApiKey, finishApiKeyRequest } from './apikeys.js';
+import { checkRateLimit, withRateLimitHeaders } from './ratelimit.js';
+import { authenticateAdmin, auditAdminRequest } from './adminauth.js';
 
-function isAdminAuthorized(url, request, env) {
-  const key = url.searchParams.get('key') || request.headers.get('x-admin-key');
-  return !env.ADMIN_KEY || key === env.ADMIN_KEY;
-}
+export { ResolveCoordinator } from './coordinator.js';
+export { RateLimiter } from './ratelimit.js';
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
+    const cors = resolveCors(request, env);
+
     // Handle CORS preflight requests
     if (request.method === 'OPTIONS') {
-      return new Response(null, {
-        status: 204,
-        headers: CORS_HEADERS
-      });
+      return preflightResponse(cors, env);
     }
 
+    configureUpstreams(env);
+
     try {
       const url = new URL(request.url);
       const params = url.searchParams;
@@ -38,39 +58,93 @@ export default {
 
       // Admin routes (path-based)
       if (url.pathname.startsWith('/admin')) {
-        if (!isAdminAuthorized(url, request, env)) {
-          return withCors(errorJson(401, 'Unauthorized', 'unauthorized'));
-        }
+        const isLogin = url.pathname === '/admin/login';
+        const { auth, error } = await authenticateAdmin(request, url, env, { keyOnly: isLogin });
+        let response = error;
 
-        let response;
-
-        try {
-          if (url.pathname === '/admin/overview') {
-            response = await handleAdminOverview(request, params, env);
-          } else if (url.pathname === '/admin/shares') {
-            response = await handleAdminShares(request, params, env);
-          } else if (url.pathname.startsWith('/admin/shares/')) {
-            const shareId = decodeURIComponent(url.pathname.replace('/admin/shares/', ''));
-            response = await handleAdminShareDetail(request, params, env, shareId);
-          } else if (url.pathname === '/admin/files') {
-            response = await handleAdminFiles(request, params, env);
-          } else if (url.pathname.startsWith('/admin/files/')) {
-            const fsId = decodeURIComponent(url.pathname.replace('/admin/files/', ''));
-            response = await handleAdminFileDetail(request, params, env, fsId);
-          } else if (url.pathname === '/admin/thumbnails') {
-            response = await handleAdminThumbnails(request, params, env);
-          } else if (url.pathname === '/admin/analytics/processed') {
-            response = await handleAdminAnalyticsProcessed(request, params, env);
-          } else if (url.pathname === '/admin/kv/entry') {
-            response = await handleAdminKvEntry(request, params, env);
-          } else {
-            return withCors(errorJson(404, 'Not found', 'not_found'));
+        if (!response) {
+          try {
+            if (isLogin) {
+              response = await handleAdminLogin(request, params, env);
+            } else if (url.pathname === '/admin/overview') {
+              response = await handleAdminOverview(request, params, env);
+            } else if (url.pathname === '/admin/shares') {
+              response = await handleAdminShares(request, params, env);
+            } else if (url.pathname.startsWith('/admin/shares/')) {
+              const shareId = decodeURIComponent(url.pathname.replace('/admin/shares/', ''));
+              response = await handleAdminShareDetail(request, params, env, shareId);
+            } else if (url.pathname === '/admin/files') {
+              response = await handleAdminFiles(request, params, env);
+            } else if (url.pathname.startsWith('/admin/files/')) {
+              const fsId = decodeURIComponent(url.pathname.replace('/admin/files/', ''));
+              response = await handleAdminFileDetail(request, params, env, fsId);
+            } else if (url.pathname === '/admin/thumbnails') {
+              response = await handleAdminThumbnails(request, params, env);
+            } else if (url.pathname === '/admin/analytics/processed') {
+              response = await handleAdminAnalyticsProcessed(request, params, env);
+            } else if (url.pathname === '/admin/tombstones') {
+              response = await handleAdminTombstones(request, params, env);
+            } else if (url.pathname === '/admin/upstreams') {
+              response = await handleAdminUpstreams(request, params, env);
+            } else if (url.pathname === '/admin/accounts') {
+              response = await handleAdminAccounts(request, params, env);
+            } else if (url.pathname.startsWith('/admin/accounts/')) {
+              const [accountId, action] = url.pathname.replace('/admin/accounts/', '').split('/');
+              response = await handleAdminAccountAction(request, params, env, decodeURIComponent(accountId), action);
+            } else if (url.pathname === '/admin/keys') {
+              response = await handleAdminKeys(request, params, env);
+            } else if (url.pathname.startsWith('/admin/keys/')) {
+              const [keyId, action] = url.pathname.replace('/admin/keys/', '').split('/');
+              response = await handleAdminKeyDetail(request, params, env, decodeURIComponent(keyId), action);
+            } else if (url.pathname === '/admin/audit') {
+              response = await handleAdminAudit(request, params, env);
+            } else if (url.pathname === '/admin/kv/entry') {
+              response = await handleAdminKvEntry(request, params, env);
+            } else {
+              response = errorJson(404, 'Not found', 'not_found');
+            }
+          } catch (err) {
+            response = errorJson(500, err?.message || 'Internal error', 'internal_error');
           }
-
-          return withCors(response);
-        } catch (err) {
-          return withCors(errorJson(500, err?.message || 'Internal error', 'internal_error'));
         }
+
+        auditAdminRequest(ctx, env, request, url, response.status, auth);
+        return withCors(response, cors);
+      }
+
+      // Per-IP rate limits come first so floods never reach D1 or upstream
+      const publicMode = url.pathname === '/batch/resolve' ? 'batch' : mode;
+      // A batch also spends one resolve token and one quota request per entry
+      const batchItems = publicMode === 'batch' && request.method === 'POST' ? await countBatchItems(request) : 0;
+      let rateLimit = null;
+      if (PUBLIC_MODES.includes(publicMode)) {
+        const limited = await checkRateLimit(request, env, publicMode);
+        if (limited.error) return withCors(limited.error, cors);
+        rateLimit = limited.result;
+      }
+      if (batchItems) {
+        const limited = await checkRateLimit(request, env, 'resolve', batchItems);
+        if (limited.error) return withCors(limited.error, cors);
+      }
+
+      // Callers without a session borrow one from the account pool; page and
+      // api stay anonymous because they return upstream bodies verbatim
+      if (mode !== 'page' && mode !== 'api' && mode !== 'health') {
+        request = await withAccountCookie(request, env);
+      }
+
+      // API keys and quotas are checked before any upstream work
+      let grant = null;
+      if (PUBLIC_MODES.includes(publicMode)) {
+        const auth = await authorizeApiKey(request, env, publicMode, params, batchItems || 1);
+        if (auth.error) return withCors(withRateLimitHeaders(auth.error, rateLimit), cors);
+        grant = auth.grant;
+      }
+
+      const finish = response => withCors(withRateLimitHeaders(finishApiKeyRequest(grant, response, env, ctx), rateLimit), cors);
+
+      if (url.pathname === '/batch/resolve') {
+        return finish(await handleBatchResolve(request, params, env, ctx));
       }
 
       // Health check endpoint
@@ -81,34 +155,40 @@ export default {
             timestamp: new Date().toISOString()
           },
           { status: 200 }
-        ));
+        ), cors);
       }
       let response;
 
       try {
-        if (mode === 'page') response = await handlePage(request, params);
-        else if (mode === 'api') response = await handleApi(request, params);
-        else if (mode === 'resolve') response = await handleResolve(request, params, env);
-        else if (mode === 'stream') response = await handleStream(request, params, env);
-        else if (mode === 'segment') response = await handleSegment(request, params);
+        if (mode === 'page') response = await handlePage(request, params, env);
+        else if (mode === 'api') response = await handleApi(request, params, env);
+        else if (mode === 'resolve') response = await handleResolve(request, params, env, ctx);
+        else if (mode === 'batch') response = await handleBatchResolve(request, params, env, ctx);
+        else if (mode === 'stream') response = await handleStream(request, params, env, ctx);
+        else if (mode === 'playlist') response = await handlePlaylist(request, params, env);
+        else if (mode === 'segment') response = await handleSegment(request, params, env, ctx);
+        else if (mode === 'subtitles') response = await handleSubtitles(request, params, env, ctx);
+        else if (mode === 'download') response = await handleDownload(request, params, env, ctx);
+        else if (mode === 'thumb') response = await handleThumb(request, params, env, ctx);
+        else if (mode === 'player') response = await handlePlayer(request, params, env, ctx);
         else if (mode === 'lookup') response = await handleLookup(request, params, env);
         else {
           return withCors(Response.json(
             {
               error: 'Invalid or missing mode',
               code: 'invalid_mode',
-              allowed: ['page', 'api', 'resolve', 'stream', 'segment', 'lookup', 'health', 'admin/*']
+              allowed: ['page', 'api', 'resolve', 'batch', 'stream', 'playlist', 'segment', 'subtitles', 'download', 'thumb', 'player', 'lookup', 'health', 'admin/*']
             },
             { status: 400 }
-          ));
+          ), cors);
         }
 
-        return withCors(response);
+        return finish(response);
       } catch (err) {
         throw err;
       }
     } catch (err) {
-      return withCors(errorJson(500, err?.message || 'Internal error', 'internal_error'));
+      return withCors(errorJson(500, err?.message || 'Internal error', 'internal_error'), cors);
     }
   }
 };
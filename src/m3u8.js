@@ -1,25 +1,149 @@
 /**
- * M3U8 playlist utilities for rewriting and transforming playlist URLs
+ * M3U8 playlist utilities for rewriting and transforming playlist URLs.
+ * Playlists are parsed into line entries (tags, URIs, comments) and
+ * serialized back, so only the URIs that are rewritten change.
  */
 
-export function rewriteM3U8(content, request) {
-  const base = new URL(request.url);
-  base.search = '';
+/**
+ * Tags whose URI attribute points at another playlist; every other URI
+ * attribute (keys, init segments, parts) is fetched as media
+ */
+const PLAYLIST_URI_TAGS = new Set([
+  'EXT-X-MEDIA',
+  'EXT-X-I-FRAME-STREAM-INF',
+  'EXT-X-RENDITION-REPORT'
+]);
+
+/**
+ * Tag that makes the next URI line a variant playlist (RFC 8216 4.3.4.2)
+ */
+const VARIANT_TAG = 'EXT-X-STREAM-INF';
+
+/**
+ * Parse an attribute list (RFC 8216 4.2). Quoted values keep their quotes
+ * flag so serializing gives back the same text.
+ */
+export function parseAttributeList(text) {
+  const attributes = [];
+  const pattern = /([A-Z0-9-]+)=("[^"\r\n]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const raw = match[2];
+    const quoted = raw.startsWith('"');
+    attributes.push({
+      name: match[1],
+      value: quoted ? raw.slice(1, -1) : raw,
+      quoted
+    });
+  }
+  return attributes;
+}
 
-  return content
-    .split('\n')
-    .map(line => {
-      if (
-        line.startsWith('#') ||
-        line.trim() === '' ||
-        !line.startsWith('http')
-      ) {
-        return line;
+export function serializeAttributeList(attributes) {
+  return attributes
+    .map(({ name, value, quoted }) => `${name}=${quoted ? `"${value}"` : value}`)
+    .join(',');
+}
+
+/**
+ * Split a playlist into entries:
+ * { type: 'tag', name, value, raw } | { type: 'uri', uri } | { type: 'comment' | 'blank', raw }
+ */
+export function parseM3U8(content) {
+  return content.split(/\r?\n/).map((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return { type: 'blank', raw: line };
+    if (trimmed.startsWith('#EXT')) {
+      const colon = trimmed.indexOf(':');
+      return {
+        type: 'tag',
+        name: trimmed.slice(1, colon === -1 ? undefined : colon),
+        value: colon === -1 ? null : trimmed.slice(colon + 1),
+        raw: line
+      };
+    }
+    if (trimmed.startsWith('#')) return { type: 'comment', raw: line };
+    return { type: 'uri', uri: trimmed };
+  });
+}
+
+export function serializeM3U8(entries) {
+  return entries
+    .map((entry) => {
+      if (entry.type === 'uri') return entry.uri;
+      if (entry.type === 'tag' && entry.attributes) {
+        return `#${entry.name}:${serializeAttributeList(entry.attributes)}`;
       }
-      const u = new URL(base.toString());
-      u.searchParams.set('mode', 'segment');
-      u.searchParams.set('url', line);
-      return u.toString();
+      return entry.raw;
     })
     .join('\n');
 }
+
+/**
+ * Resolve a URI against the playlist it came from. Non-HTTP URIs (data:,
+ * skd:// key systems) are returned as null and left untouched.
+ */
+function resolveUri(uri, playlistUrl) {
+  try {
+    const resolved = playlistUrl ? new URL(uri, playlistUrl) : new URL(uri);
+    return resolved.protocol === 'http:' || resolved.protocol === 'https:'
+      ? resolved.toString()
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+async function proxyUrl(base, mode, target, sign) {
+  const u = new URL(base.toString());
+  u.searchParams.set('mode', mode);
+  if (sign) u.searchParams.set('token', await sign(mode, target));
+  else u.searchParams.set('url', target);
+  return u.toString();
+}
+
+/**
+ * Rewrite every URI of a playlist to go through the worker: relative URIs are
+ * resolved against `playlistUrl` (the upstream URL the playlist was served
+ * from), variant and rendition playlists go to mode=playlist and everything
+ * else (segments, keys, init sections) to mode=segment.
+ * With `options.sign(mode, url)` the upstream URL is replaced by a signed token.
+ */
+export async function rewriteM3U8(content, request, playlistUrl, options = {}) {
+  const base = new URL(request.url);
+  base.search = '';
+
+  const entries = parseM3U8(content);
+  const rewritten = [];
+  let nextUriIsPlaylist = false;
+
+  for (const entry of entries) {
+    if (entry.type === 'uri') {
+      const target = resolveUri(entry.uri, playlistUrl);
+      const mode = nextUriIsPlaylist ? 'playlist' : 'segment';
+      nextUriIsPlaylist = false;
+      rewritten.push(target ? { type: 'uri', uri: await proxyUrl(base, mode, target, options.sign) } : entry);
+      continue;
+    }
+
+    if (entry.type !== 'tag') {
+      rewritten.push(entry);
+      continue;
+    }
+    if (entry.name === VARIANT_TAG) nextUriIsPlaylist = true;
+
+    const attributes = entry.value?.includes('URI=') ? parseAttributeList(entry.value) : [];
+    const uriAttribute = attributes.find(attr => attr.name === 'URI');
+    const target = uriAttribute && resolveUri(uriAttribute.value, playlistUrl);
+    if (!target) {
+      rewritten.push(entry);
+      continue;
+    }
+
+    const mode = PLAYLIST_URI_TAGS.has(entry.name) ? 'playlist' : 'segment';
+    uriAttribute.value = await proxyUrl(base, mode, target, options.sign);
+    rewritten.push({ ...entry, attributes });
+  }
+
+  return serializeM3U8(rewritten);
+}
@@ -0,0 +1,166 @@
+/**
+ * Self-contained HTML player page for mode=player. Plays the proxied
+ * mode=stream playlist with hls.js (native HLS on Safari).
+ */
+
+// Pinned so the Subresource Integrity hash stays valid; update both together
+const HLS_JS_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1.7.3/dist/hls.min.js';
+const HLS_JS_INTEGRITY = 'sha384-cciJ0zi8d1uMKC2zJd7jvPY4HQt7W4ByUI/FlMkltvBi31aW61rcpVBhpmW8/NwX';
+
+const VIDEO_EXTENSIONS = new Set(['mp4', 'mkv', 'mov', 'avi', 'webm', 'm4v', 'ts', 'flv', 'wmv', '3gp']);
+
+const QUALITY_LABELS = {
+  auto: 'Auto',
+  M3U8_AUTO_240: '240p',
+  M3U8_AUTO_360: '360p',
+  M3U8_AUTO_480: '480p',
+  M3U8_AUTO_720: '720p',
+  M3U8_AUTO_1080: '1080p'
+};
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function isVideoName(name) {
+  const dot = (name || '').lastIndexOf('.');
+  return dot !== -1 && VIDEO_EXTENSIONS.has(name.slice(dot + 1).toLowerCase());
+}
+
+function formatBytes(bytes) {
+  const value = Number(bytes);
+  if (!Number.isFinite(value) || value <= 0) return '';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exp = Math.min(Math.floor(Math.log(value) / Math.log(1024)), units.length - 1);
+  return `${(value / 1024 ** exp).toFixed(exp ? 1 : 0)} ${units[exp]}`;
+}
+
+const STYLES = `
+  body { margin: 0; font-family: system-ui, sans-serif; background: #111; color: #eee; }
+  main { max-width: 960px; margin: 0 auto; padding: 16px; }
+  h1 { font-size: 1.25rem; margin: 0 0 4px; word-break: break-word; }
+  .meta { color: #aaa; font-size: 0.9rem; margin-bottom: 12px; }
+  video { width: 100%; max-height: 70vh; background: #000; border-radius: 6px; }
+  .controls { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin: 12px 0; }
+  select, button, a.button, input { font: inherit; padding: 6px 10px; border-radius: 4px; border: 1px solid #444; background: #222; color: #eee; }
+  a.button { text-decoration: none; }
+  .error { background: #3a1515; border: 1px solid #7a2b2b; padding: 12px; border-radius: 6px; }
+  .error code { color: #f99; }
+  .poster { max-width: 100%; border-radius: 6px; }
+  form { margin-top: 12px; display: flex; gap: 8px; }
+`;
+
+function renderError(error, passwordForm) {
+  const form = passwordForm
+    ? `<form method="get" action="${escapeHtml(passwordForm.action)}">
+        ${Object.entries(passwordForm.fields).map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('')}
+        <input type="password" name="pwd" placeholder="Extraction code" required>
+        <button type="submit">Unlock</button>
+      </form>`
+    : '';
+
+  return `<div class="error" role="alert">
+      <strong>Could not load this share.</strong>
+      <p>${escapeHtml(error.message)} <code>${escapeHtml(error.code)}</code></p>
+      ${form}
+    </div>`;
+}
+
+/**
+ * Render the page. `view` carries display values and proxy URLs built by the handler:
+ * { title, error?, passwordForm?, record?, files, current, qualities, streamUrls, downloadUrl, thumbUrl, fileUrls }
+ */
+export function renderPlayerPage(view) {
+  const { record, error } = view;
+  const playable = record && isVideoName(record.name);
+
+  const filePicker = view.files.length > 1
+    ? `<label>File <select id="file">${view.files.map(file => `<option value="${escapeHtml(view.fileUrls[file.fid])}"${file.fid === view.current ? ' selected' : ''}>${escapeHtml(file.name || file.fid)}</option>`).join('')}</select></label>`
+    : '';
+
+  const qualityPicker = playable
+    ? `<label>Quality <select id="quality">${view.qualities.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(QUALITY_LABELS[type] || type)}</option>`).join('')}</select></label>`
+    : '';
+
+  const body = error
+    ? renderError(error, view.passwordForm)
+    : `<h1>${escapeHtml(record.name || 'Untitled')}</h1>
+      <div class="meta">${escapeHtml(formatBytes(record.size))}</div>
+      ${playable
+        ? `<video id="video" controls playsinline preload="metadata"${view.thumbUrl ? ` poster="${escapeHtml(view.thumbUrl)}"` : ''}></video>`
+        : `${view.thumbUrl ? `<img class="poster" src="${escapeHtml(view.thumbUrl)}" alt="">` : ''}<p>No preview for this file type.</p>`}
+      <div class="controls">
+        ${qualityPicker}
+        ${filePicker}
+        ${view.downloadUrl ? `<a class="button" href="${escapeHtml(view.downloadUrl)}" download>Download</a>` : ''}
+      </div>
+      <div id="playback-error" class="error" role="alert" hidden></div>`;
+
+  // </script> inside JSON would end the script element early
+  const data = JSON.stringify({ streamUrls: playable ? view.streamUrls : null }).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(view.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+<script id="player-data" type="application/json">${data}</script>
+${playable ? `<script src="${HLS_JS_URL}" integrity="${HLS_JS_INTEGRITY}" crossorigin="anonymous"></script>` : ''}
+<script>
+(() => {
+  const data = JSON.parse(document.getElementById('player-data').textContent);
+  const file = document.getElementById('file');
+  if (file) file.addEventListener('change', () => { location.href = file.value; });
+  if (!data.streamUrls) return;
+
+  const video = document.getElementById('video');
+  const quality = document.getElementById('quality');
+  const errorBox = document.getElementById('playback-error');
+  let hls = null;
+
+  function showError(message) {
+    errorBox.textContent = message;
+    errorBox.hidden = false;
+  }
+
+  function load(type) {
+    const src = data.streamUrls[type];
+    const resumeAt = video.currentTime || 0;
+    errorBox.hidden = true;
+    if (hls) { hls.destroy(); hls = null; }
+
+    if (window.Hls && Hls.isSupported()) {
+      hls = new Hls();
+      hls.on(Hls.Events.ERROR, (event, info) => {
+        if (info.fatal) showError('Playback failed: ' + (info.details || info.type));
+      });
+      hls.loadSource(src);
+      hls.attachMedia(video);
+    } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
+      video.src = src;
+    } else {
+      showError('This browser cannot play HLS streams.');
+      return;
+    }
+    if (resumeAt) video.addEventListener('loadedmetadata', () => { video.currentTime = resumeAt; }, { once: true });
+  }
+
+  quality.addEventListener('change', () => load(quality.value));
+  load(quality.value);
+})();
+</script>
+</body>
+</html>`;
+}
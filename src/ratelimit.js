@@ -0,0 +1,185 @@
+/**
+ * Per-client-IP rate limiting by mode with token buckets. Buckets live in the
+ * RateLimiter Durable Object (one instance per IP, addressed with
+ * idFromName(ip)) when RATE_LIMITER is bound, otherwise in the isolate.
+ * Responses carry RateLimit-* headers (draft-ietf-httpapi-ratelimit-headers).
+ */
+
+import { errorJson } from './utils.js';
+
+/**
+ * Requests per window (seconds) for each mode. Upstream-heavy modes are tight,
+ * media proxies loose. Override with RATE_LIMITS="resolve=20/60,segment=0".
+ */
+const DEFAULT_RATE_LIMITS = {
+  page: { limit: 10, window: 60 },
+  api: { limit: 10, window: 60 },
+  resolve: { limit: 30, window: 60 },
+  batch: { limit: 10, window: 60 },
+  lookup: { limit: 120, window: 60 },
+  stream: { limit: 60, window: 60 },
+  playlist: { limit: 300, window: 60 },
+  segment: { limit: 1200, window: 60 },
+  subtitles: { limit: 60, window: 60 },
+  download: { limit: 30, window: 60 },
+  thumb: { limit: 300, window: 60 },
+  player: { limit: 60, window: 60 }
+};
+
+// Isolate-local buckets when no Durable Object is bound
+const localBuckets = new Map();
+const MAX_LOCAL_BUCKETS = 10000;
+
+/**
+ * Effective limits: defaults merged with RATE_LIMITS entries of the form
+ * mode=limit/window (window defaults to 60). A limit of 0 disables the mode.
+ */
+export function getRateLimits(env) {
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  String(env.RATE_LIMITS || '').split(',').forEach((entry) => {
+    const match = entry.trim().match(/^([a-z]+)=(\d+)(?:\/(\d+))?$/);
+    if (!match || !(match[1] in limits)) return;
+    const limit = Number(match[2]);
+    const window = Number(match[3] || 60);
+    limits[match[1]] = limit > 0 && window > 0 ? { limit, window } : null;
+  });
+  return limits;
+}
+
+/**
+ * Take `count` tokens from `bucket` ({ tokens, updatedAt } or undefined). The
+ * bucket holds `limit` tokens and refills completely over `window` seconds.
+ * Returns the updated bucket and the decision with header values in seconds.
+ */
+export function takeToken(bucket, limit, window, now = Date.now(), count = 1) {
+  const ratePerMs = limit / (window * 1000);
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  const available = bucket ? Math.min(limit, bucket.tokens + elapsed * ratePerMs) : limit;
+  const allowed = available >= count;
+  const tokens = allowed ? available - count : available;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    result: {
+      allowed,
+      limit,
+      window,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil((limit - tokens) / ratePerMs / 1000),
+      retryAfter: allowed ? 0 : Math.max(1, Math.ceil((count - tokens) / ratePerMs / 1000))
+    }
+  };
+}
+
+function takeLocalToken(key, limit, window, count) {
+  const now = Date.now();
+  if (localBuckets.size >= MAX_LOCAL_BUCKETS) {
+    // Drop buckets that have refilled completely; they hold no state
+    for (const [k, b] of localBuckets) {
+      if (now - b.updatedAt >= b.window * 1000) localBuckets.delete(k);
+    }
+  }
+  const { bucket, result } = takeToken(localBuckets.get(key), limit, window, now, count);
+  localBuckets.set(key, { ...bucket, window });
+  return result;
+}
+
+async function takeRemoteToken(env, ip, mode, limit, window, count) {
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(ip));
+  const res = await stub.fetch('https://rate-limiter/take', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ bucket: mode, limit, window, count })
+  });
+  if (!res.ok) throw new Error(`Rate limiter returned ${res.status}`);
+  return res.json();
+}
+
+export function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * Count the request against the caller's bucket for `mode`, `count` times
+ * (a batch is charged per item against the resolve bucket).
+ * Returns { result } (null when the mode is unlimited) or { error } with a 429.
+ * Limiter failures let the request through.
+ */
+export async function checkRateLimit(request, env, mode, count = 1) {
+  const rule = getRateLimits(env)[mode];
+  if (!rule) return { result: null };
+
+  // More than a full bucket can never be granted, whatever the wait
+  if (count > rule.limit) {
+    return {
+      error: errorJson(429, `Request needs ${count} ${mode} tokens, the limit is ${rule.limit} per ${rule.window}s`, 'rate_limit_exceeded', {
+        mode,
+        limit: rule.limit,
+        window: rule.window,
+        requested: count
+      })
+    };
+  }
+
+  const ip = getClientIp(request);
+  let result;
+  if (env.RATE_LIMITER) {
+    try {
+      result = await takeRemoteToken(env, ip, mode, rule.limit, rule.window, count);
+    } catch (err) {
+      console.error('Rate limiter error, counting locally:', err);
+    }
+  }
+  if (!result) result = takeLocalToken(`${ip}|${mode}`, rule.limit, rule.window, count);
+
+  if (result.allowed) return { result };
+
+  const response = errorJson(429, `Too many ${mode} requests, retry in ${result.retryAfter}s`, 'rate_limit_exceeded', {
+    mode,
+    limit: result.limit,
+    window: result.window,
+    retry_after: result.retryAfter
+  });
+  const limited = withRateLimitHeaders(response, result);
+  limited.headers.set('Retry-After', String(result.retryAfter));
+  return { error: limited };
+}
+
+export function withRateLimitHeaders(response, result) {
+  if (!result) return response;
+  const headers = new Headers(response.headers);
+  headers.set('RateLimit-Policy', `${result.limit};w=${result.window}`);
+  headers.set('RateLimit-Limit', String(result.limit));
+  headers.set('RateLimit-Remaining', String(result.remaining));
+  headers.set('RateLimit-Reset', String(result.reset));
+  return new Response(response.body, { status: response.status, headers });
+}
+
+/**
+ * Durable Object holding the token buckets of one client IP
+ */
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.buckets = new Map();
+  }
+
+  async fetch(request) {
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return errorJson(400, 'Request body must be valid JSON', 'invalid_json');
+    }
+
+    const { bucket: name, limit, window, count = 1 } = payload || {};
+    if (!name || !(limit > 0) || !(window > 0) || !(count > 0)) {
+      return errorJson(400, 'Missing bucket, limit or window', 'bad_request');
+    }
+
+    const { bucket, result } = takeToken(this.buckets.get(name), limit, window, Date.now(), count);
+    this.buckets.set(name, bucket);
+    return Response.json(result);
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * HMAC-signed, expiring tokens for the segment and playlist proxies.
+ * Rewritten playlists carry `token=` instead of a raw upstream `url=`, so the
+ * worker only relays URLs it handed out itself.
+ *
+ * Token format: base64url(JSON payload) "." base64url(HMAC-SHA256(payload))
+ * Payload: { k: 'segment' | 'playlist', u: upstream URL, s: surl, e: expiry (unix seconds),
+ *            a: API key id the token was minted for (optional) }
+ */
+
+const DEFAULT_SEGMENT_TOKEN_TTL = 21600;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Imported HMAC keys, keyed by secret
+const keyCache = new Map();
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function getHmacKey(secret) {
+  if (!keyCache.has(secret)) {
+    keyCache.set(secret, crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    ));
+  }
+  return keyCache.get(secret);
+}
+
+function getSegmentTokenTtl(env) {
+  const ttl = Number.parseInt(env.SEGMENT_TOKEN_TTL, 10);
+  return Number.isNaN(ttl) || ttl <= 0 ? DEFAULT_SEGMENT_TOKEN_TTL : ttl;
+}
+
+/**
+ * Raw url= requests are only served when ALLOW_RAW_SEGMENT_URLS is "1" or "true"
+ */
+export function allowsRawSegmentUrls(env) {
+  return env.ALLOW_RAW_SEGMENT_URLS === '1' || env.ALLOW_RAW_SEGMENT_URLS === 'true';
+}
+
+/**
+ * Sign a JSON payload with HMAC-SHA256 (same token format as segment tokens)
+ */
+export async function signPayload(secret, payload) {
+  const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign('HMAC', await getHmacKey(secret), encoder.encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Payload of a token whose signature checks out, or null. Kind and expiry
+ * are left to the caller.
+ */
+export async function verifyPayload(secret, token) {
+  const [body, signature, extra] = (token || '').split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getHmacKey(secret),
+      fromBase64Url(signature),
+      encoder.encode(body)
+    );
+    return valid ? JSON.parse(decoder.decode(fromBase64Url(body))) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function signSegmentToken(secret, payload) {
+  return signPayload(secret, payload);
+}
+
+/**
+ * Check a token's signature, kind and expiry.
+ * Returns { payload } or { code, message } when the token must be rejected.
+ */
+export async function verifySegmentToken(secret, token, kind) {
+  const [body, signature, extra] = (token || '').split('.');
+  if (!body || !signature || extra !== undefined) {
+    return { code: 'invalid_segment_token', message: 'Malformed segment token' };
+  }
+
+  const payload = await verifyPayload(secret, token);
+  if (!payload || payload.k !== kind || typeof payload.u !== 'string') {
+    return { code: 'invalid_segment_token', message: 'Invalid segment token' };
+  }
+  if (!Number.isFinite(payload.e) || payload.e <= Math.floor(Date.now() / 1000)) {
+    return { code: 'segment_token_expired', message: 'Segment token expired' };
+  }
+
+  return { payload };
+}
+
+/**
+ * Signer for rewriteM3U8: returns a token for (kind, upstream URL) bound to
+ * `surl` and, when given, the API key id. Null when SEGMENT_SECRET is not configured.
+ */
+export function createSegmentSigner(env, surl, apiKeyId = null) {
+  if (!env.SEGMENT_SECRET) return null;
+  const expiresAt = Math.floor(Date.now() / 1000) + getSegmentTokenTtl(env);
+  return (kind, url) => signSegmentToken(env.SEGMENT_SECRET, {
+    k: kind,
+    u: url,
+    s: surl || null,
+    e: expiresAt,
+    ...(apiKeyId ? { a: apiKeyId } : {})
+  });
+}
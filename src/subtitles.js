@@ -0,0 +1,111 @@
+/**
+ * Subtitle helpers: sidecar track discovery, SRT to WebVTT conversion and
+ * the one-segment playlists HLS needs for EXT-X-MEDIA TYPE=SUBTITLES.
+ */
+
+const SUBTITLE_EXTENSIONS = new Set(['srt', 'vtt']);
+
+// "movie.en.srt", "movie.pt-BR.vtt"
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i;
+
+function extensionOf(name) {
+  const dot = (name || '').lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+function stripExtension(name) {
+  const dot = (name || '').lastIndexOf('.');
+  return dot === -1 ? name : name.slice(0, dot);
+}
+
+function dirnameOf(path) {
+  const slash = (path || '').lastIndexOf('/');
+  return slash <= 0 ? '/' : path.slice(0, slash);
+}
+
+function fileName(file) {
+  return file.server_filename || (file.path || '').split('/').pop() || '';
+}
+
+export function isSubtitleFile(file) {
+  return !!file && !Number(file.isdir) && SUBTITLE_EXTENSIONS.has(extensionOf(fileName(file)));
+}
+
+/**
+ * Subtitle files stored next to `video` in the share. Tracks whose name
+ * starts with the video's base name come first and are marked `matched`.
+ */
+export function findSubtitleTracks(files, video) {
+  const videoDir = dirnameOf(video?.path);
+  const videoBase = stripExtension(fileName(video || {})).toLowerCase();
+
+  return (files || [])
+    .filter(file => isSubtitleFile(file) && dirnameOf(file.path) === videoDir)
+    .map((file) => {
+      const name = fileName(file);
+      const base = stripExtension(name);
+      const matched = !!videoBase && base.toLowerCase().startsWith(videoBase);
+      // The part between the video name and the extension names the track
+      const suffix = matched ? base.slice(videoBase.length).replace(/^[._\s-]+/, '') : '';
+      return {
+        fid: String(file.fs_id),
+        name: suffix || base,
+        language: LANGUAGE_TAG.test(suffix) ? suffix : null,
+        format: extensionOf(name),
+        file_name: name,
+        matched
+      };
+    })
+    .sort((a, b) => Number(b.matched) - Number(a.matched) || a.file_name.localeCompare(b.file_name));
+}
+
+/**
+ * Convert SubRip to WebVTT. WebVTT input is returned with a clean header.
+ */
+export function toWebVtt(text) {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+  if (normalized.startsWith('WEBVTT')) return `${normalized}\n`;
+
+  const body = normalized
+    // 00:00:01,000 --> 00:00:02,500 becomes 00:00:01.000 --> 00:00:02.500
+    .replace(/(\d{1,2}):(\d{2}):(\d{2}),(\d{3})/g, (_, h, m, sec, ms) => `${h.padStart(2, '0')}:${m}:${sec}.${ms}`)
+    // SSA override blocks such as {\an8} are not valid WebVTT
+    .replace(/\{\\[^}]*\}/g, '');
+
+  return `WEBVTT\n\n${body}\n`;
+}
+
+function parseTimestamp(value) {
+  const parts = value.split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * End time of the last cue in seconds (at least 1)
+ */
+export function webVttDuration(vtt) {
+  let end = 0;
+  const pattern = /-->\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})/g;
+  let match;
+  while ((match = pattern.exec(vtt)) !== null) {
+    end = Math.max(end, parseTimestamp(match[1]));
+  }
+  return Math.max(1, Math.ceil(end));
+}
+
+/**
+ * HLS subtitle rendition playlist holding the whole WebVTT file as one segment
+ */
+export function buildSubtitlePlaylist(vttUrl, duration) {
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${duration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    `#EXTINF:${duration}.0,`,
+    vttUrl,
+    '#EXT-X-ENDLIST',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,67 @@
+/**
+ * jsToken cache so live resolves can skip the sharing page fetch.
+ * Uses the optional TOKEN_CACHE KV binding, falling back to the D1 js_tokens table.
+ */
+
+import { sha256Hex } from './utils.js';
+import { getJsTokenFromDb, saveJsToken, deleteJsToken } from './db.js';
+
+const DEFAULT_JS_TOKEN_TTL = 3600;
+// KV rejects expirationTtl values below 60 seconds
+const MIN_KV_TTL = 60;
+
+/**
+ * share/list errnos seen when the jsToken is stale or was issued for another session
+ */
+const JS_TOKEN_ERRNOS = new Set([4000020, 4000023, 400141]);
+
+export function isJsTokenErrno(errno) {
+  return JS_TOKEN_ERRNOS.has(Number(errno));
+}
+
+function getJsTokenTtl(env) {
+  const ttl = Number.parseInt(env.JS_TOKEN_TTL, 10);
+  return Number.isNaN(ttl) || ttl <= 0 ? DEFAULT_JS_TOKEN_TTL : ttl;
+}
+
+/**
+ * Tokens are tied to the session that loaded the page, so the key is derived
+ * from the Cookie header (anonymous callers share one entry)
+ */
+export async function jsTokenCacheKey(request) {
+  const cookie = request.headers.get('Cookie');
+  if (!cookie) return 'jstoken:anon';
+  return `jstoken:${(await sha256Hex(cookie)).slice(0, 32)}`;
+}
+
+export async function getCachedJsToken(env, cacheKey) {
+  try {
+    if (env.TOKEN_CACHE) return await env.TOKEN_CACHE.get(cacheKey);
+    if (env.sharedfile) return await getJsTokenFromDb(env.sharedfile, cacheKey);
+  } catch (err) {
+    console.error('jsToken cache read error:', err);
+  }
+  return null;
+}
+
+export async function cacheJsToken(env, cacheKey, token) {
+  const ttl = getJsTokenTtl(env);
+  try {
+    if (env.TOKEN_CACHE) {
+      await env.TOKEN_CACHE.put(cacheKey, token, { expirationTtl: Math.max(ttl, MIN_KV_TTL) });
+    } else if (env.sharedfile) {
+      await saveJsToken(env.sharedfile, cacheKey, token, ttl);
+    }
+  } catch (err) {
+    console.error('jsToken cache write error:', err);
+  }
+}
+
+export async function invalidateJsToken(env, cacheKey) {
+  try {
+    if (env.TOKEN_CACHE) await env.TOKEN_CACHE.delete(cacheKey);
+    else if (env.sharedfile) await deleteJsToken(env.sharedfile, cacheKey);
+  } catch (err) {
+    console.error('jsToken cache delete error:', err);
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Upstream fetch helpers: timeouts, retries, mirror failover and a per-host circuit breaker
+ */
+
+import { isTeraboxHostname } from './utils.js';
+
+/**
+ * Ordered mirror lists per endpoint group, the first healthy host is preferred
+ */
+export const DEFAULT_UPSTREAM_HOSTS = {
+  page: ['www.terabox.app', 'www.terabox.com', 'www.1024tera.com'],
+  api: ['dm.terabox.app', 'www.terabox.app', 'www.1024tera.com'],
+  stream: ['dm.1024tera.com', 'www.1024tera.com', 'dm.terabox.app']
+};
+
+const HOST_ENV_VARS = {
+  page: 'UPSTREAM_PAGE_HOSTS',
+  api: 'UPSTREAM_API_HOSTS',
+  stream: 'UPSTREAM_STREAM_HOSTS'
+};
+
+const DEFAULT_CIRCUIT_THRESHOLD = 3;
+const DEFAULT_CIRCUIT_COOLDOWN_MS = 30000;
+
+// Breaker state lives per isolate, which is enough to stop hammering a dead mirror
+const circuits = new Map();
+const circuitConfig = {
+  threshold: DEFAULT_CIRCUIT_THRESHOLD,
+  cooldownMs: DEFAULT_CIRCUIT_COOLDOWN_MS
+};
+
+function parsePositive(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isNaN(n) || n <= 0 ? fallback : n;
+}
+
+/**
+ * Apply circuit breaker settings from the environment
+ */
+export function configureUpstreams(env) {
+  circuitConfig.threshold = parsePositive(env.CIRCUIT_FAILURE_THRESHOLD, DEFAULT_CIRCUIT_THRESHOLD);
+  circuitConfig.cooldownMs = parsePositive(env.CIRCUIT_COOLDOWN_MS, DEFAULT_CIRCUIT_COOLDOWN_MS);
+}
+
+/**
+ * Configured hosts for an endpoint group. Entries outside the TeraBox
+ * domain allowlist are ignored.
+ */
+export function getUpstreamHosts(env, group) {
+  const configured = (env?.[HOST_ENV_VARS[group]] || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(host => host && isTeraboxHostname(host));
+
+  return configured.length ? configured : DEFAULT_UPSTREAM_HOSTS[group];
+}
+
+/**
+ * Build one candidate URL per configured host of a group
+ */
+export function upstreamUrls(env, group, buildUrl) {
+  return getUpstreamHosts(env, group).map(host => buildUrl(host));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+function isCircuitOpen(host, now = Date.now()) {
+  const state = circuits.get(host);
+  return !!state && state.openUntil > now;
+}
+
+function recordHostSuccess(host) {
+  if (host) circuits.delete(host);
+}
+
+function recordHostFailure(host) {
+  if (!host) return;
+  const state = circuits.get(host) || { failures: 0, openUntil: 0 };
+  state.failures++;
+  // A host that already tripped once (half-open after cooldown) reopens on its first failure
+  if (state.failures >= circuitConfig.threshold || state.openUntil > 0) {
+    state.openUntil = Date.now() + circuitConfig.cooldownMs;
+    state.failures = 0;
+  }
+  circuits.set(host, state);
+}
+
+/**
+ * Snapshot of hosts with recorded failures, for the admin API
+ */
+export function getCircuitStates() {
+  const now = Date.now();
+  return [...circuits.entries()].map(([host, state]) => ({
+    host,
+    open: state.openUntil > now,
+    failures: state.failures,
+    open_until: state.openUntil > now ? new Date(state.openUntil).toISOString() : null
+  }));
+}
+
+export function isTransientStatus(status) {
+  return status === 408 || status === 429 || (status >= 500 && status <= 599);
+}
+
+export async function fetchWithTimeout(url, options, timeoutMs = 8000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Shared count of upstream fetches left for one logical operation, so a
+ * multi-step resolve stays under the Workers subrequest limit as a whole
+ */
+export function createSubrequestBudget(limit) {
+  return { remaining: limit };
+}
+
+/**
+ * Fetch with retries. `urls` may be one URL or an ordered list of mirror URLs:
+ * each failed attempt moves on to the next mirror, and mirrors whose circuit is
+ * open are skipped until their cooldown ends (all of them are tried when every
+ * circuit is open). At most `retries + 1` fetches are made, fewer when the
+ * optional `budget` runs out. Backoff only applies once every mirror has been tried.
+ */
+export async function fetchWithRetry(urls, options, retries = 2, baseDelayMs = 200, timeoutMs = 8000, budget = null) {
+  const candidates = Array.isArray(urls) ? urls : [urls];
+  const available = candidates.filter(url => !isCircuitOpen(hostOf(url)));
+  const order = available.length ? available : candidates;
+  const attempts = retries + 1;
+
+  if (budget && budget.remaining <= 0) {
+    const err = new Error('Upstream subrequest budget exhausted');
+    err.name = 'SubrequestBudgetError';
+    throw err;
+  }
+
+  let lastErr;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const url = order[attempt % order.length];
+    const host = hostOf(url);
+    if (budget) budget.remaining--;
+    const isLast = attempt === attempts - 1 || (budget && budget.remaining <= 0);
+
+    try {
+      const res = await fetchWithTimeout(url, options, timeoutMs);
+      if (!isTransientStatus(res.status)) {
+        recordHostSuccess(host);
+        return res;
+      }
+      recordHostFailure(host);
+      if (isLast) return res;
+      // Release the connection before moving on
+      await res.body?.cancel();
+      lastErr = new Error(`Transient upstream status: ${res.status}`);
+    } catch (err) {
+      recordHostFailure(host);
+      lastErr = err;
+      if (isLast) throw err;
+    }
+
+    const round = Math.floor(attempt / order.length);
+    if ((attempt + 1) % order.length === 0) {
+      const delay = baseDelayMs * Math.pow(2, round);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  throw lastErr || new Error('Upstream request failed');
+}
@@ -14,14 +14,67 @@ export function findBetween(str, start, end) {
   return str.slice(i + start.length, j);
 }
 
-export function buildApiUrl(jsToken, shorturl, root) {
-  const u = new URL('https://dm.terabox.app/share/list');
+export function buildPageUrl(host, surl) {
+  const u = new URL(`https://${host}/sharing/link`);
+  u.searchParams.set('surl', surl);
+  return u.toString();
+}
+
+export function buildApiUrl(jsToken, shorturl, root, options = {}) {
+  const u = new URL(`https://${options.host || 'dm.terabox.app'}/share/list`);
   u.searchParams.set('jsToken', jsToken);
   u.searchParams.set('shorturl', shorturl);
   u.searchParams.set('root', root);
+  if (options.dir) u.searchParams.set('dir', options.dir);
+  if (options.sekey) u.searchParams.set('sekey', options.sekey);
+  return u.toString();
+}
+
+/**
+ * Build the extraction code verify URL for password-protected shares
+ */
+export function buildVerifyUrl(jsToken, surl, options = {}) {
+  const u = new URL(`https://${options.host || 'www.terabox.app'}/share/verify`);
+  u.searchParams.set('surl', surl);
+  u.searchParams.set('jsToken', jsToken);
+  u.searchParams.set('app_id', '250528');
+  u.searchParams.set('web', '1');
+  u.searchParams.set('channel', 'dubox');
+  u.searchParams.set('clienttype', '0');
   return u.toString();
 }
 
+/**
+ * HMAC-SHA256 of a share's extraction code and surl, keyed with
+ * SHARE_PASSWORD_SECRET (or SEGMENT_SECRET). Extraction codes are short, so a
+ * bare digest stored in D1 could be brute-forced; without a secret nothing is
+ * stored and protected shares are always resolved live.
+ */
+export async function hashSharePassword(env, surl, pwd) {
+  const secret = env.SHARE_PASSWORD_SECRET || env.SEGMENT_SECRET;
+  if (!secret) return null;
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${surl}:${pwd}`));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Digest that tells extraction codes apart in cache and single-flight keys.
+ * Never stored in D1.
+ */
+export async function sharePasswordKey(surl, pwd) {
+  return sha256Hex(`${surl}:${pwd}`);
+}
+
+/**
+ * SHA-256 hex digest of a string
+ */
+export async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
 export function buildHeaders(request, extra = {}) {
   const headers = {
     'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
@@ -75,24 +128,146 @@ export function isValidSurl(surl) {
 }
 
 /**
- * Standard CORS headers for API responses
+ * TeraBox domains the worker may fetch from (SSRF protection)
+ */
+export const TERABOX_DOMAINS = [
+  'terabox.com',
+  'terabox.app',
+  '1024tera.com',
+  '1024terabox.com',
+  'freeterabox.com',
+  'teraboxcdn.com',
+  'dm.terabox.app',
+  'dm.1024tera.com',
+  'terasharelink.com',
+  'terafileshare.com',
+  'teraboxlink.com',
+  'teraboxshare.com',
+  'terasharefile.com',
+  'teraboxurl.com'
+];
+
+/**
+ * Domains whose share links are accepted. Only used to read the surl out of a
+ * pasted link; nothing is fetched from the extra mirrors.
+ */
+const SHARE_LINK_DOMAINS = [
+  ...TERABOX_DOMAINS,
+  'teraboxapp.com',
+  '4funbox.com',
+  'mirrobox.com',
+  'nephobox.com',
+  'momerybox.com',
+  'tibibox.com'
+];
+
+function matchesDomain(hostname, domains) {
+  const host = (hostname || '').toLowerCase();
+  return domains.some(domain => host === domain || host.endsWith('.' + domain));
+}
+
+/**
+ * Check whether a hostname is a TeraBox domain or one of its subdomains
+ */
+export function isTeraboxHostname(hostname) {
+  return matchesDomain(hostname, TERABOX_DOMAINS);
+}
+
+/**
+ * /s/ share ids are the surl with a leading "1"
+ */
+function surlFromShareId(id) {
+  return id.startsWith('1') ? id.slice(1) : id;
+}
+
+/**
+ * Extract the canonical surl from a TeraBox share link.
+ * /s/1abc links carry a leading "1" that the surl= form drops, so both
+ * https://terabox.app/s/1abc and https://terabox.app/sharing/link?surl=abc give "abc".
+ * Returns { surl } or { code, message } when the link is not usable.
+ */
+export function parseShareUrl(input) {
+  const value = (input || '').trim();
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch {
+    return { code: 'invalid_share_url', message: 'Malformed share URL' };
+  }
+
+  if (!matchesDomain(url.hostname, SHARE_LINK_DOMAINS)) {
+    return { code: 'unsupported_share_domain', message: 'Share URL is not on a TeraBox domain' };
+  }
+
+  const fromQuery = url.searchParams.get('surl');
+  if (fromQuery) return { surl: fromQuery };
+
+  const match = url.pathname.match(/^\/(?:wap\/)?s\/([^/]+)\/?$/);
+  if (match) {
+    const surl = surlFromShareId(decodeURIComponent(match[1]));
+    if (!surl) return { code: 'invalid_share_url', message: 'Share URL has an empty share id' };
+    return { surl };
+  }
+
+  return { code: 'invalid_share_url', message: 'Share URL has no /s/ path or surl parameter' };
+}
+
+/**
+ * Read the share ID from url= or surl= (a pasted link in surl= is accepted too).
+ * A bare surl= is canonicalized like a /s/ id, so "1abc" and /s/1abc both give "abc".
+ * Returns { surl } with the canonical surl, { surl: null } when neither is given,
+ * or { error } with a 400 response for malformed input.
  */
-export const CORS_HEADERS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Cookie'
-};
+export function readSurlParam(params) {
+  const urlParam = params.get('url')?.trim();
+  const surlParam = params.get('surl')?.trim();
+  const link = urlParam || (surlParam && /[/.:]/.test(surlParam) ? surlParam : null);
+
+  let surl = surlParam ? surlFromShareId(surlParam) : null;
+  if (link) {
+    const parsed = parseShareUrl(link);
+    if (!parsed.surl) {
+      return { error: errorJson(400, parsed.message, parsed.code, { url: link }) };
+    }
+    surl = parsed.surl;
+  }
+
+  if (surl === null) return { surl: null };
+
+  if (!isValidSurl(surl)) {
+    return { error: errorJson(400, 'Invalid surl format', 'invalid_surl', { surl }) };
+  }
+
+  return { surl };
+}
+
+const DEFAULT_DLINK_LIFETIME = 8 * 3600;
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parse a dlink expires value such as "8h", "30m" or "3600" into seconds
+ */
+function parseDlinkLifetime(value) {
+  const match = /^(\d+)([smhd]?)$/i.exec((value || '').trim());
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+}
 
 /**
- * Add CORS headers to a response
+ * Unix time (seconds) a signed dlink stops working, from its dstime/time sign
+ * timestamp plus the expires lifetime (8h when absent). Null when unknown.
  */
-export function withCors(response) {
-  const headers = new Headers(response.headers);
-  Object.entries(CORS_HEADERS).forEach(([key, value]) => {
-    headers.set(key, value);
-  });
-  return new Response(response.body, {
-    status: response.status,
-    headers
-  });
+export function getDlinkExpiry(dlink) {
+  if (!dlink) return null;
+
+  try {
+    const url = new URL(dlink);
+    const signedAt = Number(url.searchParams.get('dstime') || url.searchParams.get('time'));
+    if (!Number.isFinite(signedAt) || signedAt <= 0) return null;
+
+    const lifetime = parseDlinkLifetime(url.searchParams.get('expires')) ?? DEFAULT_DLINK_LIFETIME;
+    return signedAt + lifetime;
+  } catch {
+    return null;
+  }
 }